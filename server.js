@@ -19,6 +19,19 @@ import adminRoutes from './src/routes/adminRoutes.js';
 import dashboardRoutes from './src/routes/dashboardRoutes.js';
 import aiRoutes from './src/routes/aiRoutes.js';
 import calRoutes from './src/routes/calRoutes.js';
+import walletRoutes from './src/routes/walletRoutes.js';
+import offerRoutes from './src/routes/offerRoutes.js';
+import couponRoutes from './src/routes/couponRoutes.js';
+import invoiceRoutes from './src/routes/invoiceRoutes.js';
+import subscriptionRoutes from './src/routes/subscriptionRoutes.js';
+
+// Import background jobs
+import { startScheduler, stopScheduler, isSchedulerEnabled } from './src/services/schedulerService.js';
+import { getPaymentProvider } from './src/services/payments/index.js';
+import { registerOrderJobs } from './src/jobs/orderJobs.js';
+import { registerOfferJobs } from './src/jobs/offerJobs.js';
+import { registerSubscriptionJobs } from './src/jobs/subscriptionJobs.js';
+import { registerSearchJobs } from './src/jobs/searchJobs.js';
 
 // Import middleware
 import { errorHandler } from './src/middleware/errorHandler.js';
@@ -139,6 +152,11 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/cal', calRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/offers', offerRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -165,7 +183,19 @@ const connectDB = async () => {
 // Start server
 const startServer = async () => {
   try {
+    // Refuse to start without a usable payment provider
+    getPaymentProvider();
+
     await connectDB();
+
+    // Background jobs (locks in MongoDB keep multiple instances from double-running them)
+    if (isSchedulerEnabled()) {
+      registerOrderJobs();
+      registerOfferJobs();
+      registerSubscriptionJobs();
+      registerSearchJobs();
+      await startScheduler();
+    }
     
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -194,6 +224,7 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM received. Shutting down gracefully...');
+  stopScheduler();
   mongoose.connection.close(() => {
     console.log('📴 MongoDB connection closed.');
     process.exit(0);
@@ -0,0 +1,9 @@
+// Currencies gigs can be priced in and buyers can view prices in
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'INR', 'BRL', 'MXN', 'JPY', 'NGN'];
+
+// Currency exchange rates are quoted against and reports are normalized to.
+// Read at call time - environment variables are loaded after module imports.
+export const getBaseCurrency = () => {
+  const currency = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+  return CURRENCIES.includes(currency) ? currency : 'USD';
+};
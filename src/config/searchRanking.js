@@ -0,0 +1,33 @@
+// Gig search ranking. Each component is scored 0-1 and blended with these
+// weights; override them with SEARCH_WEIGHT_TEXT, SEARCH_WEIGHT_RATING,
+// SEARCH_WEIGHT_CONVERSION, SEARCH_WEIGHT_RECENCY and SEARCH_WEIGHT_FEATURED.
+const DEFAULT_WEIGHTS = {
+  text: 4,
+  rating: 2,
+  conversion: 1,
+  recency: 1,
+  featured: 0.5
+};
+
+const readNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+// Read at call time - environment variables are loaded after module imports
+export const getSearchRanking = () => ({
+  weights: Object.fromEntries(
+    Object.entries(DEFAULT_WEIGHTS).map(([component, weight]) => [
+      component,
+      readNumber(`SEARCH_WEIGHT_${component.toUpperCase()}`, weight)
+    ])
+  ),
+  // Bayesian prior: a gig's rating starts at `mean` as if it had `weight` reviews
+  ratingPrior: {
+    mean: readNumber('SEARCH_RATING_PRIOR_MEAN', 4),
+    weight: readNumber('SEARCH_RATING_PRIOR_WEIGHT', 5)
+  },
+  recencyHalfLifeDays: readNumber('SEARCH_RECENCY_HALF_LIFE_DAYS', 90) || 90,
+  // Orders per view that earns the full conversion score
+  conversionTarget: readNumber('SEARCH_CONVERSION_TARGET', 0.05) || 0.05
+});
@@ -0,0 +1,23 @@
+// Standard VAT/GST rates on digital services by country (ISO 3166 alpha-2).
+// Countries without an entry do not have tax collected by the platform.
+export const TAX_RULES = {
+  GB: { name: 'VAT', rate: 0.2 },
+  IE: { name: 'VAT', rate: 0.23 },
+  DE: { name: 'VAT', rate: 0.19 },
+  FR: { name: 'VAT', rate: 0.2 },
+  ES: { name: 'VAT', rate: 0.21 },
+  IT: { name: 'VAT', rate: 0.22 },
+  NL: { name: 'VAT', rate: 0.21 },
+  IN: { name: 'GST', rate: 0.18 },
+  AU: { name: 'GST', rate: 0.1 },
+  NZ: { name: 'GST', rate: 0.15 },
+  SG: { name: 'GST', rate: 0.09 },
+  CA: { name: 'GST', rate: 0.05 }
+};
+
+export const getTaxRule = (country) => (country && TAX_RULES[country]) || null;
+
+// Country the platform is registered for tax in; fees are only taxed when
+// set. Read at call time - environment variables are loaded after module
+// imports.
+export const getPlatformTaxCountry = () => process.env.PLATFORM_TAX_COUNTRY?.toUpperCase() || null;
@@ -0,0 +1,13 @@
+import { Offer } from '../models/index.js';
+import { defineJob } from '../services/schedulerService.js';
+
+const MINUTE_MS = 60 * 1000;
+
+export const expireOffers = async (now = new Date()) => {
+  const result = await Offer.expireOffers(now);
+  return { expired: result.modifiedCount };
+};
+
+export const registerOfferJobs = () => {
+  defineJob('expire-offers', () => expireOffers(), { interval: 15 * MINUTE_MS });
+};
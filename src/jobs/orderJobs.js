@@ -0,0 +1,114 @@
+import { Order } from '../models/index.js';
+import { defineJob } from '../services/schedulerService.js';
+import { applyTransitions, transitionOrder } from '../services/orderService.js';
+import { escalateOverdueCancellations } from '../services/cancellationService.js';
+import { notifyUsers } from '../services/notificationService.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Days a delivery waits for the buyer before it is accepted automatically
+export const getAutoCompleteDays = () => parseInt(process.env.ORDER_AUTO_COMPLETE_DAYS) || 3;
+
+// Hours a seller has to accept a new order
+export const getAcceptHours = () => parseInt(process.env.ORDER_ACCEPT_HOURS) || 72;
+
+// Hours before the due date the seller is reminded
+export const getReminderHours = () => parseInt(process.env.ORDER_REMINDER_HOURS) || 24;
+
+// Run `fn` for each order, carrying on past failures. Throws afterwards if
+// any order failed so the scheduler retries; orders already handled no
+// longer match the job's query.
+const processOrders = async (orders, fn) => {
+  const failures = [];
+
+  for (const order of orders) {
+    try {
+      await fn(order);
+    } catch (error) {
+      failures.push(`${order.orderId}: ${error.message}`);
+    }
+  }
+
+  if (failures.length) {
+    throw new Error(`${failures.length} of ${orders.length} orders failed (${failures[0]})`);
+  }
+
+  return { processed: orders.length };
+};
+
+export const markLateOrders = async (now = new Date()) => {
+  const orders = await Order.findOverdueOrders().where('isLate').ne(true);
+
+  return processOrders(orders, async (order) => {
+    order.isLate = true;
+    order.dates.lateAt = now;
+    order.addTimelineEvent('marked_late', { role: 'system', note: `Due ${order.dates.dueDate.toISOString()}` });
+    await order.save();
+
+    await notifyUsers([order.buyer, order.seller], {
+      subject: `Order ${order.orderId} is late`,
+      text: `Order ${order.orderId} has passed its due date without a delivery.`
+    });
+  });
+};
+
+export const autoCompleteOrders = async (now = new Date()) => {
+  const days = getAutoCompleteDays();
+  const orders = await Order.findOrdersToAutoComplete(new Date(now.getTime() - days * DAY_MS));
+
+  return processOrders(orders, async (order) => {
+    await transitionOrder(order, 'completed', {
+      role: 'system',
+      note: `Delivery accepted automatically after ${days} days`
+    });
+
+    await notifyUsers([order.buyer, order.seller], {
+      subject: `Order ${order.orderId} completed`,
+      text: `Order ${order.orderId} was completed automatically because the delivery was not reviewed within ${days} days.`
+    });
+  });
+};
+
+export const expirePendingOrders = async (now = new Date()) => {
+  const hours = getAcceptHours();
+  const orders = await Order.findExpiredPendingOrders(new Date(now.getTime() - hours * HOUR_MS));
+
+  return processOrders(orders, async (order) => {
+    await applyTransitions(order, [
+      { status: 'cancelled', role: 'system', note: `Not accepted within ${hours} hours` },
+      { status: 'refunded', role: 'system', note: 'Expired order refund' }
+    ]);
+
+    await notifyUsers([order.buyer, order.seller], {
+      subject: `Order ${order.orderId} expired`,
+      text: `Order ${order.orderId} was not accepted within ${hours} hours and has been cancelled. The buyer has been refunded.`
+    });
+  });
+};
+
+export const sendDeadlineReminders = async (now = new Date()) => {
+  const hours = getReminderHours();
+  const orders = await Order.findOrdersDueForReminder(hours * HOUR_MS, now);
+
+  return processOrders(orders, async (order) => {
+    await notifyUsers([order.seller], {
+      subject: `Order ${order.orderId} is due soon`,
+      text: `Order ${order.orderId} is due on ${order.dates.dueDate.toUTCString()}. Please deliver before the deadline.`
+    });
+
+    order.dates.deadlineReminderAt = now;
+    await order.save();
+  });
+};
+
+export const registerOrderJobs = () => {
+  defineJob('mark-late-orders', () => markLateOrders(), { interval: 15 * MINUTE_MS });
+  defineJob('auto-complete-orders', () => autoCompleteOrders(), { interval: HOUR_MS });
+  defineJob('expire-pending-orders', () => expirePendingOrders(), { interval: HOUR_MS });
+  defineJob('deadline-reminders', () => sendDeadlineReminders(), { interval: 15 * MINUTE_MS });
+  defineJob('escalate-cancellations', async () => ({ escalated: await escalateOverdueCancellations() }), {
+    interval: 15 * MINUTE_MS
+  });
+};
@@ -0,0 +1,18 @@
+import { GigSearchDocument, SearchSuggestion } from '../models/index.js';
+import { defineJob } from '../services/schedulerService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Re-project every active gig, catching anything the model hooks missed
+// (view counts, failed syncs, gigs changed outside the app), then rebuild
+// the autocomplete suggestions from it
+export const refreshSearchIndex = async () => {
+  const index = await GigSearchDocument.rebuild();
+  const suggestions = await SearchSuggestion.rebuild();
+
+  return { ...index, suggestions };
+};
+
+export const registerSearchJobs = () => {
+  defineJob('refresh-search-index', () => refreshSearchIndex(), { interval: HOUR_MS, lockTtl: HOUR_MS });
+};
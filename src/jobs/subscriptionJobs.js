@@ -0,0 +1,33 @@
+import { Subscription } from '../models/index.js';
+import { defineJob } from '../services/schedulerService.js';
+import { renewSubscription } from '../services/subscriptionService.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Bill every subscription that has come due. Carries on past failures and
+// throws afterwards so the scheduler retries; subscriptions already billed
+// are no longer due.
+export const renewSubscriptions = async (now = new Date()) => {
+  const subscriptions = await Subscription.findDueForBilling(now);
+  const failures = [];
+  let renewed = 0;
+
+  for (const subscription of subscriptions) {
+    try {
+      const result = await renewSubscription(subscription, now);
+      if (result.order) renewed += 1;
+    } catch (error) {
+      failures.push(`${subscription.subscriptionId}: ${error.message}`);
+    }
+  }
+
+  if (failures.length) {
+    throw new Error(`${failures.length} of ${subscriptions.length} subscriptions failed (${failures[0]})`);
+  }
+
+  return { processed: subscriptions.length, renewed };
+};
+
+export const registerSubscriptionJobs = () => {
+  defineJob('renew-subscriptions', () => renewSubscriptions(), { interval: 15 * MINUTE_MS });
+};
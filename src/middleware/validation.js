@@ -183,7 +183,8 @@ export const validatePagination = (req, res, next) => {
 };
 
 // Validate sort parameters
-export const validateSort = (allowedFields = []) => {
+// `fieldMap` maps public sort names to document fields (e.g. rating -> stats.rating)
+export const validateSort = (allowedFields = [], fieldMap = {}) => {
   return (req, res, next) => {
     try {
       const { sort } = req.query;
@@ -213,7 +214,7 @@ export const validateSort = (allowedFields = []) => {
           );
         }
 
-        sortObj[sortField] = sortOrder;
+        sortObj[fieldMap[sortField] || sortField] = sortOrder;
       }
 
       req.sort = sortObj;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Named gapless sequences (e.g. invoice numbers). Incremented inside the
+// caller's transaction, so an aborted transaction does not use up a number.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String // Sequence name
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Static methods
+counterSchema.statics.next = async function(name, { session } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
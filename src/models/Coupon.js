@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import { CURRENCIES, getBaseCurrency } from '../config/currencies.js';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    unique: true,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3-30 letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    maxlength: 300
+  },
+
+  // Platform coupons are managed by admins and funded out of the platform fee;
+  // seller coupons are funded out of the issuing seller's earnings
+  issuer: {
+    type: String,
+    enum: ['platform', 'seller'],
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.issuer === 'seller'; }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  gigs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gig' // Empty means every gig (of the seller, for seller coupons)
+  }],
+
+  // Discount; fixed values, caps and minimum spend are in this currency and
+  // converted for orders in other currencies
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    default: getBaseCurrency
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  maxDiscount: {
+    type: Number,
+    min: 0 // Cap for percentage discounts
+  },
+  minSpend: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Rules
+  usageLimit: {
+    type: Number,
+    min: 1 // Total redemptions; unlimited when unset
+  },
+  usageLimitPerUser: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes (code already has unique index)
+couponSchema.index({ issuer: 1, seller: 1, createdAt: -1 });
+
+couponSchema.path('value').validate(function(value) {
+  return this.discountType !== 'percentage' || value <= 100;
+}, 'Percentage discounts cannot exceed 100');
+
+// Pre-save middleware
+couponSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Instance methods
+couponSchema.methods.isWithinWindow = function(now = new Date()) {
+  return (!this.startsAt || this.startsAt <= now) && (!this.expiresAt || this.expiresAt > now);
+};
+
+couponSchema.methods.appliesToGig = function(gig) {
+  if (this.issuer === 'seller' && !this.seller.equals(gig.seller)) return false;
+  return this.gigs.length === 0 || this.gigs.some(id => id.equals(gig._id));
+};
+
+// Discount for a subtotal, before any funding cap. `rate` converts the
+// coupon currency into the order currency.
+couponSchema.methods.computeDiscount = function(subtotal, rate = 1) {
+  let discount = this.discountType === 'percentage'
+    ? subtotal * this.value / 100
+    : this.value * rate;
+
+  if (this.discountType === 'percentage' && this.maxDiscount) {
+    discount = Math.min(discount, this.maxDiscount * rate);
+  }
+
+  return Math.round(Math.min(discount, subtotal) * 100) / 100;
+};
+
+// Static methods
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code || '').trim().toUpperCase() });
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import { CURRENCIES } from '../config/currencies.js';
+
+// One rate per currency: units of the currency per one unit of the base
+// currency. The base currency itself has no entry (its rate is always 1).
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    unique: true,
+    required: true,
+    uppercase: true,
+    enum: CURRENCIES
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0.000001
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Pre-save middleware
+exchangeRateSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+export default ExchangeRate;
@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+
+// Inclusive min, exclusive max; either end may be left open
+const bandSchema = new mongoose.Schema({
+  min: Number,
+  max: Number
+}, { _id: false });
+
+// A fee override for the orders matching all of its conditions. Fee fields
+// left unset fall back to the schedule defaults.
+const feeRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  priority: {
+    type: Number,
+    default: 0 // Highest matching priority wins
+  },
+
+  // Conditions (unset conditions match every order)
+  categories: [String],
+  sellerRating: bandSchema,
+  orderAmount: bandSchema, // Order subtotal before discounts
+  startsAt: Date, // Promotional period
+  endsAt: Date,
+
+  // Fees
+  platformRate: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  serviceRate: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  serviceFixed: {
+    type: Number,
+    min: 0
+  }
+});
+
+const feeScheduleSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+
+  // The schedule applies from this date until a later schedule takes effect.
+  // Schedules cannot be changed once in effect; publish a new version instead.
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+
+  // Default fees: the platform rate is deducted from seller earnings, the
+  // service fee is charged to the buyer on top of the order price
+  platformRate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  serviceRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1
+  },
+  serviceFixed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  rules: [feeRuleSchema],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes (version already has unique index)
+feeScheduleSchema.index({ effectiveFrom: -1 });
+
+const inBand = (band, value) => {
+  if (!band || (band.min == null && band.max == null)) return true;
+  if (value == null) return false;
+  return (band.min == null || value >= band.min) && (band.max == null || value < band.max);
+};
+
+// Assign the next version number to new schedules
+feeScheduleSchema.pre('validate', async function(next) {
+  if (this.isNew && this.version == null) {
+    const latest = await this.constructor.findOne().sort({ version: -1 }).select('version');
+    this.version = (latest?.version || 0) + 1;
+  }
+  next();
+});
+
+// Pre-save middleware
+feeScheduleSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Instance methods
+feeScheduleSchema.methods.isInEffect = function(now = new Date()) {
+  return this.effectiveFrom <= now;
+};
+
+// Highest-priority rule matching the order, or null for the defaults
+feeScheduleSchema.methods.findRule = function({ category, sellerRating, subtotal, at = new Date() }) {
+  const matches = this.rules.filter(rule =>
+    (!rule.categories.length || rule.categories.includes(category)) &&
+    inBand(rule.sellerRating, sellerRating) &&
+    inBand(rule.orderAmount, subtotal) &&
+    (!rule.startsAt || rule.startsAt <= at) &&
+    (!rule.endsAt || rule.endsAt > at)
+  );
+
+  return matches.sort((a, b) => b.priority - a.priority)[0] || null;
+};
+
+// Static methods
+feeScheduleSchema.statics.findEffective = function(at = new Date()) {
+  return this.findOne({ effectiveFrom: { $lte: at } }).sort({ effectiveFrom: -1, version: -1 });
+};
+
+const FeeSchedule = mongoose.model('FeeSchedule', feeScheduleSchema);
+
+export default FeeSchedule;
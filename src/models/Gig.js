@@ -1,4 +1,17 @@
 import mongoose from 'mongoose';
+import { CURRENCIES, getBaseCurrency } from '../config/currencies.js';
+import { SUBSCRIPTION_INTERVALS } from './Subscription.js';
+
+// Editing any of these on an approved gig sends it back through review
+export const MODERATED_PATHS = [
+  'title', 'description', 'category', 'subcategory', 'tags', 'images', 'video',
+  'packages', 'currency', 'requirements', 'extras', 'faqs'
+];
+
+// Gigs awaiting review (see isAwaitingReview)
+export const AWAITING_REVIEW_FILTER = {
+  $or: [{ status: 'pending' }, { 'pendingEdit.status': 'pending' }]
+};
 
 const packageSchema = new mongoose.Schema({
   name: {
@@ -30,6 +43,58 @@ const packageSchema = new mongoose.Schema({
     min: 0
   },
   features: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Retainer version of the package (e.g. 4 TikToks a month), billed and
+  // ordered every cycle
+  subscription: {
+    isAvailable: {
+      type: Boolean,
+      default: false
+    },
+    interval: {
+      type: String,
+      enum: SUBSCRIPTION_INTERVALS,
+      default: 'month'
+    },
+    price: {
+      type: Number, // per cycle
+      min: 5
+    },
+    deliverables: {
+      type: Number, // per cycle
+      min: 1,
+      max: 100
+    }
+  }
+});
+
+// Add-on a buyer can purchase with any package (extra story, usage rights, rush delivery...)
+const extraSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    maxlength: 80
+  },
+  description: {
+    type: String,
+    maxlength: 300
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 10000
+  },
+  // Days added to the package delivery time; negative for rush delivery
+  extraDays: {
+    type: Number,
+    default: 0,
+    min: -365,
+    max: 365
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -47,6 +112,28 @@ const faqSchema = new mongoose.Schema({
   }
 });
 
+const moderationEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['submitted', 'resubmitted', 'approved', 'rejected', 'changes_requested'],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['seller', 'admin', 'system'],
+    required: true
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const gigSchema = new mongoose.Schema({
   // Basic Information
   title: {
@@ -108,17 +195,31 @@ const gigSchema = new mongoose.Schema({
     premium: packageSchema
   },
   
+  // Package and extra prices are in this currency
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    default: getBaseCurrency
+  },
+  
   // Requirements and Extras
   requirements: [{
     type: String,
     required: true
   }],
+  extras: {
+    type: [extraSchema],
+    validate: {
+      validator: extras => extras.length <= 10,
+      message: 'A gig can have at most 10 extras'
+    }
+  },
   faqs: [faqSchema],
   
   // Gig Status and Metrics
   status: {
     type: String,
-    enum: ['draft', 'pending', 'active', 'paused', 'rejected'],
+    enum: ['draft', 'pending', 'active', 'paused', 'rejected', 'changes_requested'],
     default: 'draft'
   },
   featured: {
@@ -172,13 +273,32 @@ const gigSchema = new mongoose.Schema({
   },
   
   // Admin and Moderation
-  moderationNotes: String,
+  moderationNotes: String, // Latest changes requested or approval note
   rejectionReason: String,
+  submittedAt: Date, // Latest submission for review
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
   approvedAt: Date,
+  moderationHistory: [moderationEntrySchema],
+
+  // Revisions (see GigRevision); liveVersion is the version buyers see and
+  // the content of the gig itself
+  version: {
+    type: Number,
+    default: 0
+  },
+  liveVersion: Number,
+  // A seller's edit to a live gig, kept as a revision until it is reviewed;
+  // the gig's own fields stay at liveVersion meanwhile
+  pendingEdit: {
+    version: Number,
+    status: {
+      type: String,
+      enum: ['pending', 'changes_requested']
+    }
+  },
   
   // Timestamps
   createdAt: {
@@ -195,7 +315,8 @@ const gigSchema = new mongoose.Schema({
 
 // Indexes
 gigSchema.index({ seller: 1 });
-gigSchema.index({ status: 1 });
+gigSchema.index({ status: 1, submittedAt: 1 });
+gigSchema.index({ 'pendingEdit.status': 1, submittedAt: 1 });
 gigSchema.index({ category: 1 });
 gigSchema.index({ featured: -1, createdAt: -1 });
 gigSchema.index({ 'stats.rating': -1 });
@@ -229,8 +350,12 @@ gigSchema.virtual('packageCount').get(function() {
   return count;
 });
 
+// Changes to these alone do not touch the search index
+const UNINDEXED_PATHS = ['stats', 'stats.views', 'stats.clicks', 'stats.conversionRate', 'updatedAt'];
+
 // Pre-save middleware
 gigSchema.pre('save', function(next) {
+  this.$locals.reindex = this.isNew || this.modifiedPaths().some(path => !UNINDEXED_PATHS.includes(path));
   this.updatedAt = new Date();
   
   // Set published date when first published
@@ -260,6 +385,34 @@ gigSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the gig's search document in step. Failures are logged; the
+// refresh-search-index job repairs the index.
+const syncSearchDocument = async (gigId, session) => {
+  try {
+    await mongoose.model('GigSearchDocument').syncGig(gigId, { session });
+  } catch (error) {
+    console.error('Error updating gig search index:', error);
+  }
+};
+
+gigSchema.post('save', async function(doc) {
+  if (doc.$locals.reindex) {
+    await syncSearchDocument(doc._id, doc.$session());
+  }
+});
+
+gigSchema.post('findOneAndUpdate', async function(doc) {
+  if (doc) {
+    await syncSearchDocument(doc._id, this.getOptions().session);
+  }
+});
+
+gigSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await syncSearchDocument(doc._id, this.getOptions().session);
+  }
+});
+
 // Instance methods
 gigSchema.methods.incrementViews = function() {
   this.stats.views += 1;
@@ -275,7 +428,7 @@ gigSchema.methods.incrementClicks = function() {
 gigSchema.methods.addOrder = function() {
   this.stats.orders += 1;
   this.lastOrderAt = new Date();
-  this.stats.conversionRate = (this.stats.orders / this.stats.clicks) * 100;
+  this.stats.conversionRate = this.stats.clicks ? (this.stats.orders / this.stats.clicks) * 100 : 0;
   return this.save();
 };
 
@@ -297,6 +450,16 @@ gigSchema.methods.updateRating = function(newRating, isNewReview = false) {
   return this.save();
 };
 
+gigSchema.methods.addModerationEntry = function(action, { actor, role, note } = {}) {
+  this.moderationHistory.push({ action, actor, actorRole: role, note, at: new Date() });
+  return this;
+};
+
+// A new gig submitted for review, or an edit to a live gig
+gigSchema.methods.isAwaitingReview = function() {
+  return this.status === 'pending' || this.pendingEdit?.status === 'pending';
+};
+
 gigSchema.methods.isPurchasableBy = function(userId) {
   return this.status === 'active' && !this.seller.equals(userId);
 };
@@ -309,6 +472,29 @@ gigSchema.methods.getActivePackages = function() {
   return packages;
 };
 
+gigSchema.methods.getActiveExtras = function() {
+  return (this.extras || []).filter(extra => extra.isActive);
+};
+
+// Subscription terms of an active package, or null if it is one-off only
+gigSchema.methods.getSubscriptionPlan = function(packageName) {
+  const pkg = this.getActivePackages()[packageName];
+  const plan = pkg?.subscription;
+
+  if (!plan?.isAvailable || !plan.price || !plan.deliverables) return null;
+
+  return {
+    title: pkg.title,
+    description: pkg.description,
+    features: pkg.features,
+    deliveryTime: pkg.deliveryTime,
+    revisions: pkg.revisions,
+    interval: plan.interval,
+    price: plan.price,
+    deliverables: plan.deliverables
+  };
+};
+
 // Static methods
 gigSchema.statics.findPublished = function() {
   return this.find({ status: 'active' });
@@ -322,28 +508,9 @@ gigSchema.statics.findFeatured = function() {
   return this.find({ featured: true, status: 'active' }).sort({ createdAt: -1 });
 };
 
-gigSchema.statics.searchGigs = function(query, filters = {}) {
-  const searchQuery = { status: 'active' };
-  
-  if (query) {
-    searchQuery.$text = { $search: query };
-  }
-  
-  if (filters.category) {
-    searchQuery.category = filters.category;
-  }
-  
-  if (filters.minPrice || filters.maxPrice) {
-    // This would need to be implemented based on package prices
-  }
-  
-  if (filters.rating) {
-    searchQuery['stats.rating'] = { $gte: filters.rating };
-  }
-  
-  return this.find(searchQuery)
-    .populate('seller', 'username displayName avatar sellerProfile.rating')
-    .sort({ featured: -1, 'stats.rating': -1, createdAt: -1 });
+// Search active gigs through the search index (see GigSearchDocument.search)
+gigSchema.statics.searchGigs = function(query, filters = {}, options = {}) {
+  return mongoose.model('GigSearchDocument').search(query, filters, options);
 };
 
 const Gig = mongoose.model('Gig', gigSchema);
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import { MODERATED_PATHS } from './Gig.js';
+
+// A gig's content as of a revision
+export const getGigContent = (gig) => {
+  const gigObject = gig.toObject({ depopulate: true });
+  return Object.fromEntries(MODERATED_PATHS.map(path => [path, gigObject[path]]));
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !(value instanceof Date);
+
+// Leaf-level differences between two versions of gig content, as dotted
+// paths (e.g. packages.basic.price). Subdocument ids are ignored.
+export const diffGigContent = (from = {}, to = {}, prefix = '') => {
+  const keys = new Set([...Object.keys(from || {}), ...Object.keys(to || {})]);
+  const changes = [];
+
+  for (const key of keys) {
+    if (key === '_id') continue;
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    const before = from?.[key];
+    const after = to?.[key];
+
+    if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+      changes.push(...diffGigContent(before, after, path));
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ path, from: before, to: after });
+    }
+  }
+
+  return changes;
+};
+
+// Versioned snapshot of a gig's content, written whenever it changes
+const gigRevisionSchema = new mongoose.Schema({
+  gig: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gig',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'restored'],
+    required: true
+  },
+  restoredFrom: Number, // Version restored
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  editorRole: {
+    type: String,
+    enum: ['seller', 'admin', 'system'],
+    required: true
+  },
+  changedFields: [String],
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+gigRevisionSchema.index({ gig: 1, version: -1 }, { unique: true });
+
+// Static methods
+
+// Record the gig's current content as its current version
+gigRevisionSchema.statics.record = async function(gig, { action, editor, role, changedFields = [], restoredFrom, session } = {}) {
+  const [revision] = await this.create([{
+    gig: gig._id,
+    version: gig.version,
+    action,
+    restoredFrom,
+    editor,
+    editorRole: role,
+    changedFields,
+    content: getGigContent(gig)
+  }], { session });
+  return revision;
+};
+
+const GigRevision = mongoose.model('GigRevision', gigRevisionSchema);
+
+export default GigRevision;
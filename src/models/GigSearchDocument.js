@@ -0,0 +1,320 @@
+import mongoose from 'mongoose';
+import { CURRENCIES } from '../config/currencies.js';
+import { getSearchRanking } from '../config/searchRanking.js';
+
+const PACKAGE_TYPES = ['basic', 'standard', 'premium'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rating facet buckets (the last bound includes 5)
+export const RATING_BOUNDARIES = [0, 3, 4, 4.5, 5.01];
+
+// Denormalized projection of an active gig and its seller used for search.
+// Kept in step by the Gig and User model hooks and rebuilt periodically by
+// the refresh-search-index job; only active gigs have a document.
+const gigSearchDocumentSchema = new mongoose.Schema({
+  gig: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gig',
+    required: true,
+    unique: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Gig
+  title: String,
+  description: String,
+  category: String,
+  subcategory: String,
+  tags: [String],
+  currency: {
+    type: String,
+    enum: CURRENCIES
+  },
+  startingPrice: Number, // Cheapest active package, in the gig's currency
+  minDeliveryDays: Number, // Fastest active package
+  rating: {
+    type: Number,
+    default: 0
+  },
+  totalReviews: {
+    type: Number,
+    default: 0
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  orders: {
+    type: Number,
+    default: 0
+  },
+  conversionRate: {
+    type: Number, // Orders per view
+    default: 0
+  },
+  featured: {
+    type: Boolean,
+    default: false
+  },
+  publishedAt: Date,
+  createdAt: Date,
+
+  // Seller
+  sellerUsername: String,
+  sellerRating: {
+    type: Number,
+    default: 0
+  },
+  sellerReviews: {
+    type: Number,
+    default: 0
+  },
+  sellerCountry: String,
+  sellerLanguages: [String],
+  sellerFollowers: {
+    type: Number, // Across the seller's social accounts
+    default: 0
+  },
+  sellerVerified: {
+    type: Boolean,
+    default: false
+  },
+  completionRate: Number, // Share of finished orders completed; unset without any
+  responseTime: Number, // in hours
+
+  indexedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes (gig already has unique index)
+gigSearchDocumentSchema.index(
+  { title: 'text', tags: 'text', subcategory: 'text', description: 'text' },
+  { weights: { title: 10, tags: 5, subcategory: 3, description: 1 }, name: 'gig_search_text' }
+);
+gigSearchDocumentSchema.index({ seller: 1 });
+gigSearchDocumentSchema.index({ category: 1, rating: -1 });
+gigSearchDocumentSchema.index({ startingPrice: 1 });
+gigSearchDocumentSchema.index({ createdAt: -1 });
+
+const getSellerFields = (seller) => {
+  const profile = seller?.sellerProfile || {};
+  const finished = (profile.completedOrders || 0) + (profile.cancelledOrders || 0);
+
+  return {
+    sellerUsername: seller?.username,
+    sellerRating: profile.rating || 0,
+    sellerReviews: profile.totalReviews || 0,
+    sellerCountry: seller?.location?.country,
+    sellerLanguages: profile.languages || [],
+    sellerFollowers: (profile.socialAccounts || []).reduce((sum, account) => sum + (account.followers || 0), 0),
+    sellerVerified: Boolean(seller?.verified?.identity),
+    completionRate: finished > 0 ? (profile.completedOrders || 0) / finished : undefined,
+    responseTime: profile.responseTime
+  };
+};
+
+const getGigFields = (gig) => {
+  const packages = PACKAGE_TYPES.map(name => gig.packages?.[name]).filter(pkg => pkg?.isActive);
+  const stats = gig.stats || {};
+
+  return {
+    seller: gig.seller,
+    title: gig.title,
+    description: gig.description,
+    category: gig.category,
+    subcategory: gig.subcategory,
+    tags: gig.tags,
+    currency: gig.currency,
+    startingPrice: packages.length ? Math.min(...packages.map(pkg => pkg.price)) : undefined,
+    minDeliveryDays: packages.length ? Math.min(...packages.map(pkg => pkg.deliveryTime)) : undefined,
+    rating: stats.rating || 0,
+    totalReviews: stats.totalReviews || 0,
+    views: stats.views || 0,
+    orders: stats.orders || 0,
+    conversionRate: stats.views > 0 ? Math.min(1, (stats.orders || 0) / stats.views) : 0,
+    featured: gig.featured,
+    publishedAt: gig.publishedAt || gig.createdAt,
+    createdAt: gig.createdAt
+  };
+};
+
+const SELLER_SELECT = 'username location.country verified.identity sellerProfile.rating sellerProfile.totalReviews ' +
+  'sellerProfile.languages sellerProfile.socialAccounts sellerProfile.completedOrders ' +
+  'sellerProfile.cancelledOrders sellerProfile.responseTime';
+
+// Static methods
+
+// Refresh (or remove, once it is no longer active) a gig's search document
+gigSearchDocumentSchema.statics.syncGig = async function(gigId, { session } = {}) {
+  const gig = await mongoose.model('Gig').findById(gigId).session(session || null);
+
+  if (!gig || gig.status !== 'active') {
+    await this.deleteOne({ gig: gigId }, { session });
+    return null;
+  }
+
+  const seller = await mongoose.model('User').findById(gig.seller).select(SELLER_SELECT).session(session || null);
+
+  return this.findOneAndUpdate(
+    { gig: gig._id },
+    { $set: { ...getGigFields(gig), ...getSellerFields(seller), indexedAt: new Date() } },
+    { upsert: true, new: true, session }
+  );
+};
+
+// Refresh the seller fields of all of a seller's search documents
+gigSearchDocumentSchema.statics.syncSeller = async function(sellerId, { session } = {}) {
+  const seller = await mongoose.model('User').findById(sellerId).select(SELLER_SELECT).session(session || null);
+  if (!seller) return;
+
+  await this.updateMany(
+    { seller: sellerId },
+    { $set: { ...getSellerFields(seller), indexedAt: new Date() } },
+    { session }
+  );
+};
+
+// Re-project every active gig and drop documents of gigs that are gone or
+// no longer active
+gigSearchDocumentSchema.statics.rebuild = async function() {
+  const Gig = mongoose.model('Gig');
+  const startedAt = new Date();
+  let indexed = 0;
+
+  for await (const gig of Gig.find({ status: 'active' }).select('_id').cursor()) {
+    await this.syncGig(gig._id);
+    indexed += 1;
+  }
+
+  const removed = await this.deleteMany({ indexedAt: { $lt: startedAt } });
+  return { indexed, removed: removed.deletedCount };
+};
+
+// Search. Returns an aggregation yielding one document with the page of
+// `results` (with their ranking), the `total` and `categories`, `prices` and
+// `ratings` facets over every match.
+// - filters: category, rating, minPrice, maxPrice, maxDeliveryDays,
+//   sellerCountry, language, minFollowers, maxFollowers, verifiedSeller
+// - options.sort defaults to the ranking score (see config/searchRanking.js)
+// - options.priceExpression converts the starting price into the currency
+//   the price filters and buckets are in (defaults to the gig's own)
+gigSearchDocumentSchema.statics.search = function(query, filters = {}, {
+  sort = { score: -1 },
+  skip = 0,
+  limit = 20,
+  priceExpression = expression => expression,
+  priceBoundaries = [0, 25, 50, 100, 250, 500, 1000],
+  now = new Date()
+} = {}) {
+  const match = {};
+
+  if (query) match.$text = { $search: query };
+  if (filters.category) match.category = filters.category;
+  if (filters.rating) match.rating = { $gte: filters.rating };
+  if (filters.maxDeliveryDays) match.minDeliveryDays = { $lte: filters.maxDeliveryDays };
+  if (filters.sellerCountry) match.sellerCountry = filters.sellerCountry;
+  if (filters.language) match.sellerLanguages = filters.language;
+  if (filters.minFollowers != null || filters.maxFollowers != null) {
+    match.sellerFollowers = {};
+    if (filters.minFollowers != null) match.sellerFollowers.$gte = filters.minFollowers;
+    if (filters.maxFollowers != null) match.sellerFollowers.$lte = filters.maxFollowers;
+  }
+  if (filters.verifiedSeller) match.sellerVerified = true;
+
+  const { weights, ratingPrior, recencyHalfLifeDays, conversionTarget } = getSearchRanking();
+  const textScore = { $meta: 'textScore' };
+
+  const pipeline = [
+    { $match: match },
+    {
+      $addFields: {
+        price: priceExpression('$startingPrice'),
+        ranking: {
+          // Text relevance squashed into 0-1; nothing to rank on without a query
+          text: query ? { $divide: [textScore, { $add: [textScore, 1] }] } : 0,
+          // Average rating pulled towards the prior until the gig has reviews
+          rating: {
+            $divide: [
+              {
+                $divide: [
+                  { $add: [ratingPrior.mean * ratingPrior.weight, { $multiply: ['$rating', '$totalReviews'] }] },
+                  { $add: [ratingPrior.weight, '$totalReviews'] }
+                ]
+              },
+              5
+            ]
+          },
+          conversion: { $min: [1, { $divide: ['$conversionRate', conversionTarget] }] },
+          // Halves every recencyHalfLifeDays since publishing
+          recency: {
+            $exp: {
+              $multiply: [
+                -Math.LN2 / (recencyHalfLifeDays * DAY_MS),
+                { $subtract: [now, { $ifNull: ['$publishedAt', now] }] }
+              ]
+            }
+          },
+          featured: { $cond: ['$featured', 1, 0] }
+        }
+      }
+    },
+    {
+      $addFields: {
+        score: {
+          $add: Object.entries(weights).map(([component, weight]) => ({ $multiply: [weight, `$ranking.${component}`] }))
+        }
+      }
+    }
+  ];
+
+  if (filters.minPrice != null || filters.maxPrice != null) {
+    const price = {};
+    if (filters.minPrice != null) price.$gte = filters.minPrice;
+    if (filters.maxPrice != null) price.$lte = filters.maxPrice;
+    pipeline.push({ $match: { price } });
+  }
+
+  pipeline.push({
+    $facet: {
+      results: [
+        { $sort: { ...sort, _id: 1 } },
+        { $skip: skip },
+        { $limit: limit },
+        { $project: { gig: 1, score: 1, ranking: 1 } }
+      ],
+      total: [{ $count: 'count' }],
+      categories: [
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ],
+      prices: [{
+        $bucket: {
+          groupBy: '$price',
+          boundaries: priceBoundaries,
+          default: 'other',
+          output: { count: { $sum: 1 } }
+        }
+      }],
+      ratings: [{
+        $bucket: {
+          groupBy: '$rating',
+          boundaries: RATING_BOUNDARIES,
+          default: 'other',
+          output: { count: { $sum: 1 } }
+        }
+      }]
+    }
+  });
+
+  return this.aggregate(pipeline);
+};
+
+const GigSearchDocument = mongoose.model('GigSearchDocument', gigSearchDocumentSchema);
+
+export default GigSearchDocument;
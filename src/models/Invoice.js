@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import { CURRENCIES } from '../config/currencies.js';
+
+const partySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: String,
+  email: String,
+  company: String,
+  address: String,
+  taxId: String
+}, { _id: false });
+
+const lineItemSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['package', 'extra', 'discount', 'fee', 'refund'],
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  unitPrice: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true // Negative for discounts and refunds
+  }
+}, { _id: false });
+
+const taxLineSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  rate: Number,
+  taxableAmount: Number,
+  amount: {
+    type: Number,
+    required: true
+  },
+  note: String // e.g. reverse charge wording
+}, { _id: false });
+
+// Invoice for a paid order, or credit note for a refund. Issued documents
+// are snapshots and never change.
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderId: String,
+  relatedInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice' // The invoice a credit note corrects
+  },
+
+  // Parties
+  issuer: partySchema, // The platform
+  buyer: partySchema,
+  seller: partySchema,
+
+  // Amounts
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    required: true
+  },
+  lineItems: [lineItemSchema],
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  taxLines: [taxLineSchema],
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  providerReference: String, // Charge or refund ID
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes (invoiceNumber already has unique index)
+invoiceSchema.index({ 'buyer.user': 1, issuedAt: -1 });
+invoiceSchema.index({ order: 1, issuedAt: 1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
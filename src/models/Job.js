@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+
+// One document per recurring background job. The document doubles as the
+// job's lock so only one server instance runs a job at a time.
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  interval: {
+    type: Number, // Milliseconds between successful runs
+    required: true
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+
+  // Lock
+  lockedBy: String, // Instance ID holding the lock
+  lockedUntil: Date, // Lock expiry, so a crashed instance doesn't block the job forever
+
+  // Retries
+  attempts: {
+    type: Number,
+    default: 0 // Consecutive failed attempts of the current run
+  },
+
+  // Run history
+  lastStartedAt: Date,
+  lastFinishedAt: Date,
+  lastSucceededAt: Date,
+  lastError: String,
+  lastResult: mongoose.Schema.Types.Mixed,
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes (name already has unique index)
+jobSchema.index({ nextRunAt: 1 });
+
+// Pre-save middleware
+jobSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Static methods
+
+// Create the job document if missing; the interval follows the code
+jobSchema.statics.register = async function(name, interval) {
+  try {
+    await this.updateOne(
+      { name },
+      { $set: { interval, updatedAt: new Date() }, $setOnInsert: { nextRunAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another instance registered the job at the same moment
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Atomically take the lock of a due job. Returns null when the job is not
+// due or another instance holds an unexpired lock.
+jobSchema.statics.claim = function(name, instanceId, lockTtl, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      name,
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    {
+      $set: {
+        lockedBy: instanceId,
+        lockedUntil: new Date(now.getTime() + lockTtl),
+        lastStartedAt: now,
+        updatedAt: now
+      }
+    },
+    { new: true }
+  );
+};
+
+// Extend a lock this instance holds. Returns null when the lock was lost
+// to another instance.
+jobSchema.statics.renew = function(name, instanceId, lockTtl, now = new Date()) {
+  return this.findOneAndUpdate(
+    { name, lockedBy: instanceId },
+    { $set: { lockedUntil: new Date(now.getTime() + lockTtl), updatedAt: now } },
+    { new: true }
+  );
+};
+
+// Release the lock and schedule the next run. Does nothing if the lock
+// expired and was taken over by another instance meanwhile.
+jobSchema.statics.release = function(name, instanceId, update) {
+  return this.updateOne(
+    { name, lockedBy: instanceId },
+    {
+      ...update,
+      $set: { ...update.$set, lockedBy: null, lockedUntil: null, lastFinishedAt: new Date(), updatedAt: new Date() }
+    }
+  );
+};
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
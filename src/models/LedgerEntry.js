@@ -0,0 +1,239 @@
+import mongoose from 'mongoose';
+import { CURRENCIES, getBaseCurrency } from '../config/currencies.js';
+
+// Double-entry ledger. Every money movement is posted as a journal: a group of
+// lines sharing a journalId whose debits and credits balance exactly.
+//
+// Accounts:
+//   provider - money held at the payment provider
+//   buyer    - a buyer's funds on the platform (user is set)
+//   escrow   - funds held for orders that are not yet completed
+//   seller   - a seller's earned balance (user is set)
+//   platform - platform fee revenue
+//   payout   - seller funds reserved for a withdrawal awaiting payout
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['buyer_charge', 'escrow_hold', 'seller_release', 'platform_fee', 'promotion', 'refund', 'withdrawal', 'tip'],
+    required: true
+  },
+  account: {
+    type: String,
+    enum: ['provider', 'buyer', 'escrow', 'seller', 'platform', 'payout'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  withdrawal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Withdrawal'
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    default: getBaseCurrency
+  },
+  provider: String,
+  providerReference: String, // Charge/refund/payout ID from the payment provider
+  memo: String,
+  availableAt: Date, // Seller credits only: when the funds clear for withdrawal
+  
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+ledgerEntrySchema.index({ journalId: 1 });
+ledgerEntrySchema.index({ order: 1, type: 1 });
+ledgerEntrySchema.index({ user: 1, account: 1, createdAt: -1 });
+ledgerEntrySchema.index({ createdAt: -1 });
+
+// Static methods
+ledgerEntrySchema.statics.generateJournalId = function() {
+  return 'JRN-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6).toUpperCase();
+};
+
+// Post a balanced set of lines as one journal
+ledgerEntrySchema.statics.postJournal = async function(lines, { session } = {}) {
+  const toCents = (value) => Math.round(value * 100);
+  const debits = lines.filter(l => l.direction === 'debit').reduce((sum, l) => sum + toCents(l.amount), 0);
+  const credits = lines.filter(l => l.direction === 'credit').reduce((sum, l) => sum + toCents(l.amount), 0);
+
+  if (debits !== credits) {
+    throw new Error(`Unbalanced journal: debits ${debits / 100} != credits ${credits / 100}`);
+  }
+
+  const journalId = this.generateJournalId();
+  const entries = lines
+    .filter(l => l.amount > 0)
+    .map(l => ({ ...l, journalId }));
+
+  return this.insertMany(entries, { session });
+};
+
+ledgerEntrySchema.statics.hasEntry = async function(orderId, type, { session } = {}) {
+  const entry = await this.findOne({ order: orderId, type }).session(session || null);
+  return Boolean(entry);
+};
+
+// Lifetime totals for a user, derived from their ledger lines
+ledgerEntrySchema.statics.getUserTotals = async function(userId, { session } = {}) {
+  const signed = (account, type, direction, sign = 1) => ({
+    $cond: [
+      {
+        $and: [
+          { $eq: ['$account', account] },
+          { $eq: ['$type', type] },
+          { $eq: ['$direction', direction] }
+        ]
+      },
+      { $multiply: ['$amount', sign] },
+      0
+    ]
+  });
+
+  const [totals] = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: null,
+        totalEarnings: {
+          $sum: {
+            $add: [
+              signed('seller', 'seller_release', 'credit'),
+              signed('seller', 'tip', 'credit'),
+              signed('seller', 'refund', 'debit', -1)
+            ]
+          }
+        },
+        totalSpent: {
+          $sum: {
+            $add: [
+              signed('buyer', 'buyer_charge', 'credit'),
+              signed('buyer', 'tip', 'credit'),
+              signed('buyer', 'refund', 'debit', -1)
+            ]
+          }
+        }
+      }
+    }
+  ]).session(session || null);
+
+  return {
+    totalEarnings: Math.round((totals?.totalEarnings || 0) * 100) / 100,
+    totalSpent: Math.round((totals?.totalSpent || 0) * 100) / 100
+  };
+};
+
+// Where an order's money currently sits. Tips are paid separately and are
+// left out, so releases and refunds never touch them.
+ledgerEntrySchema.statics.getOrderBalances = async function(orderId, { session } = {}) {
+  const net = (account) => ({
+    $cond: [
+      { $eq: ['$account', account] },
+      { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] },
+      0
+    ]
+  });
+
+  const [totals] = await this.aggregate([
+    { $match: { order: new mongoose.Types.ObjectId(orderId), type: { $ne: 'tip' } } },
+    {
+      $group: {
+        _id: null,
+        escrow: { $sum: net('escrow') },
+        seller: { $sum: net('seller') },
+        platform: { $sum: net('platform') },
+        refunded: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$account', 'provider'] }, { $eq: ['$type', 'refund'] }] },
+              '$amount',
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]).session(session || null);
+
+  const round = (value) => Math.round((value || 0) * 100) / 100;
+
+  return {
+    escrow: round(totals?.escrow),
+    seller: round(totals?.seller),
+    platform: round(totals?.platform),
+    refunded: round(totals?.refunded)
+  };
+};
+
+// Seller wallet balances. Credits count as pending until their clearance
+// date; debits (refunds, withdrawals) always reduce the available balance.
+ledgerEntrySchema.statics.getSellerBalances = async function(userId, { session } = {}) {
+  const now = new Date();
+  const clearedAt = { $ifNull: ['$availableAt', '$createdAt'] };
+
+  const [totals] = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId), account: 'seller' } },
+    {
+      $group: {
+        _id: null,
+        cleared: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$direction', 'credit'] }, { $lte: [clearedAt, now] }] },
+              '$amount',
+              0
+            ]
+          }
+        },
+        pendingClearance: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$direction', 'credit'] }, { $gt: [clearedAt, now] }] },
+              '$amount',
+              0
+            ]
+          }
+        },
+        debits: {
+          $sum: { $cond: [{ $eq: ['$direction', 'debit'] }, '$amount', 0] }
+        }
+      }
+    }
+  ]).session(session || null);
+
+  const round = (value) => Math.round((value || 0) * 100) / 100;
+
+  return {
+    available: round((totals?.cleared || 0) - (totals?.debits || 0)),
+    pendingClearance: round(totals?.pendingClearance)
+  };
+};
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+export default LedgerEntry;
@@ -0,0 +1,180 @@
+import mongoose from 'mongoose';
+import { CURRENCIES, getBaseCurrency } from '../config/currencies.js';
+
+// Negotiable terms of a custom offer; the accepted terms become the order's
+// package snapshot
+const offerTermsSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 5
+  },
+  deliveryTime: {
+    type: Number,
+    required: true,
+    min: 1 // in days
+  },
+  revisions: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  features: [String],
+  milestones: [{
+    title: String,
+    description: String,
+    amount: Number,
+    dueInDays: Number
+  }]
+}, { _id: false });
+
+const negotiationEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['offered', 'countered', 'revised', 'counter_accepted', 'accepted', 'declined', 'withdrawn', 'expired'],
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['buyer', 'seller', 'system'],
+    required: true
+  },
+  terms: offerTermsSchema, // Terms proposed with this entry, if any
+  message: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const offerSchema = new mongoose.Schema({
+  offerId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Optional gig the offer is based on
+  gig: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gig'
+  },
+  gigTitle: String,
+
+  // The seller's currency; the terms price is in it
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    default: getBaseCurrency
+  },
+  terms: {
+    type: offerTermsSchema,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: [
+      'pending',   // Waiting for the buyer
+      'countered', // Buyer proposed other terms, waiting for the seller
+      'accepted',  // Buyer accepted and paid, order created
+      'declined',
+      'withdrawn', // Withdrawn by the seller
+      'expired'
+    ],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  history: [negotiationEntrySchema],
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  acceptedAt: Date,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes (offerId already has unique index)
+offerSchema.index({ buyer: 1, createdAt: -1 });
+offerSchema.index({ seller: 1, createdAt: -1 });
+offerSchema.index({ status: 1, expiresAt: 1 });
+
+// Generate offer ID before validation so the required check passes
+offerSchema.pre('validate', function(next) {
+  if (this.isNew && !this.offerId) {
+    this.offerId = 'OFR-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6).toUpperCase();
+  }
+  next();
+});
+
+// Pre-save middleware
+offerSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Instance methods
+offerSchema.methods.getPartyRole = function(userId) {
+  if (this.buyer.equals(userId)) return 'buyer';
+  if (this.seller.equals(userId)) return 'seller';
+  return null;
+};
+
+offerSchema.methods.isOpen = function() {
+  return ['pending', 'countered'].includes(this.status);
+};
+
+offerSchema.methods.addHistoryEntry = function(action, { by, role, terms, message } = {}) {
+  this.history.push({ action, by, role, terms, message, at: new Date() });
+  return this;
+};
+
+// Static methods
+offerSchema.statics.expireOffers = function(now = new Date()) {
+  return this.updateMany(
+    { status: { $in: ['pending', 'countered'] }, expiresAt: { $lte: now } },
+    {
+      $set: { status: 'expired', updatedAt: now },
+      $push: { history: { action: 'expired', role: 'system', at: now } }
+    }
+  );
+};
+
+const Offer = mongoose.model('Offer', offerSchema);
+
+export default Offer;
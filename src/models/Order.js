@@ -1,4 +1,59 @@
 import mongoose from 'mongoose';
+import { CURRENCIES, getBaseCurrency } from '../config/currencies.js';
+
+// Order lifecycle: for each status, the statuses it may move to and the
+// actors allowed to make that move. Every status change goes through this table.
+// Only `direct` moves can be requested as a plain status change; the others
+// have preconditions and are made by their own flow (deliveries, revisions,
+// milestones, cancellation requests, disputes, refunds and scheduled jobs).
+export const ORDER_TRANSITIONS = {
+  pending: {
+    accepted: { roles: ['seller'], direct: true },
+    cancelled: { roles: ['buyer', 'seller', 'admin', 'system'] }
+  },
+  accepted: {
+    in_progress: { roles: ['seller'], direct: true },
+    delivered: { roles: ['seller'] },
+    cancelled: { roles: ['buyer', 'seller', 'admin'] },
+    disputed: { roles: ['buyer', 'seller'] }
+  },
+  in_progress: {
+    delivered: { roles: ['seller'] },
+    cancelled: { roles: ['buyer', 'seller', 'admin'] },
+    disputed: { roles: ['buyer', 'seller'] }
+  },
+  delivered: {
+    completed: { roles: ['buyer', 'admin', 'system'] },
+    revision_requested: { roles: ['buyer'] },
+    disputed: { roles: ['buyer', 'seller'] }
+  },
+  revision_requested: {
+    revision_delivered: { roles: ['seller'] },
+    delivered: { roles: ['seller'] }, // Seller declined the revision request
+    cancelled: { roles: ['admin'] },
+    disputed: { roles: ['buyer', 'seller'] }
+  },
+  revision_delivered: {
+    completed: { roles: ['buyer', 'admin', 'system'] },
+    revision_requested: { roles: ['buyer'] },
+    disputed: { roles: ['buyer', 'seller'] }
+  },
+  completed: {
+    refunded: { roles: ['admin'] }
+  },
+  // Entered only together with the refund of the escrow
+  cancelled: {
+    refunded: { roles: ['admin', 'system'] }
+  },
+  disputed: {
+    in_progress: { roles: ['admin'] },
+    completed: { roles: ['admin'] },
+    refunded: { roles: ['admin'] }
+  },
+  refunded: {}
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
 
 const deliverableSchema = new mongoose.Schema({
   type: {
@@ -12,7 +67,7 @@ const deliverableSchema = new mongoose.Schema({
     fileId: String, // ImageKit file ID
     name: String,
     size: Number,
-    type: String // MIME type
+    type: { type: String } // MIME type
   }],
   submittedAt: {
     type: Date,
@@ -45,6 +100,37 @@ const revisionSchema = new mongoose.Schema({
   deliverables: [deliverableSchema]
 });
 
+// Seller request to push back the due date
+const extensionSchema = new mongoose.Schema({
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  days: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'declined'],
+    default: 'pending'
+  },
+  response: String,
+  respondedAt: Date,
+  previousDueDate: Date,
+  newDueDate: Date
+});
+
 const messageSchema = new mongoose.Schema({
   sender: {
     type: mongoose.Schema.Types.ObjectId,
@@ -53,13 +139,14 @@ const messageSchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: true
+    // Attachment-only messages may leave the text empty
+    required: function() { return !this.attachments || this.attachments.length === 0; }
   },
   attachments: [{
     url: String,
     fileId: String,
     name: String,
-    type: String
+    type: { type: String } // MIME type
   }],
   timestamp: {
     type: Date,
@@ -77,6 +164,56 @@ const messageSchema = new mongoose.Schema({
   }]
 });
 
+// Dispute evidence and discussion between buyer, seller and the assigned admin
+const disputeFileSchema = new mongoose.Schema({
+  url: String,
+  fileId: String,
+  name: String,
+  size: Number,
+  type: { type: String } // MIME type
+}, { _id: false });
+
+const disputeEvidenceSchema = new mongoose.Schema({
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['buyer', 'seller', 'admin']
+  },
+  description: String,
+  files: [disputeFileSchema],
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const disputeMessageSchema = new mongoose.Schema({
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['buyer', 'seller', 'admin']
+  },
+  content: {
+    type: String,
+    required: function() { return !this.attachments || this.attachments.length === 0; }
+  },
+  attachments: [disputeFileSchema],
+  // Replies point at the message they answer
+  replyTo: mongoose.Schema.Types.ObjectId,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const milestoneSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -90,13 +227,60 @@ const milestoneSchema = new mongoose.Schema({
   dueDate: Date,
   status: {
     type: String,
-    enum: ['pending', 'in_progress', 'completed', 'cancelled'],
+    enum: [
+      'pending',     // Not started yet
+      'in_progress', // Seller is working on it (also after changes are requested)
+      'delivered',   // Waiting for buyer approval
+      'completed',   // Approved by the buyer, payment released
+      'cancelled'
+    ],
     default: 'pending'
   },
+  fundedAt: Date, // When escrowed order funds were allocated to this milestone
+  startedAt: Date,
+  deliveredAt: Date,
   completedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  releasedAmount: {
+    type: Number,
+    default: 0
+  },
+  changeRequests: [{
+    reason: String,
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   deliverables: [deliverableSchema]
 });
 
+const timelineEntrySchema = new mongoose.Schema({
+  event: {
+    type: String,
+    default: 'status_change'
+  },
+  from: String,
+  to: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['buyer', 'seller', 'admin', 'system'],
+    required: true
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const orderSchema = new mongoose.Schema({
   // Order Identification
   orderId: {
@@ -121,17 +305,45 @@ const orderSchema = new mongoose.Schema({
   gig: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Gig',
-    required: true
+    // Custom offers may stand alone
+    required: function() { return this.package !== 'custom'; }
   },
   gigTitle: String, // Snapshot of gig title at time of order
   gigImage: String, // Snapshot of primary gig image
+  gigRevision: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GigRevision' // Gig version live when the order was placed
+  },
+  gigVersion: Number,
   
   // Package Information
   package: {
     type: String,
-    enum: ['basic', 'standard', 'premium'],
+    enum: ['basic', 'standard', 'premium', 'custom'],
     required: true
   },
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer' // Custom offer the order was created from
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription' // Subscription the order is a billing cycle of
+  },
+  subscriptionCycle: {
+    number: Number,
+    periodStart: Date,
+    periodEnd: Date,
+    deliverables: Number // Deliverables due this cycle
+  },
+  // Snapshot of the gig extras bought with the package
+  extras: [{
+    extraId: mongoose.Schema.Types.ObjectId, // Extra on the gig
+    title: String,
+    description: String,
+    price: Number,
+    extraDays: Number
+  }],
   packageDetails: {
     title: String,
     description: String,
@@ -146,10 +358,22 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    discount: {
+      type: Number,
+      default: 0
+    },
     fees: {
-      platform: Number,
+      platform: Number, // Deducted from seller earnings
+      service: {
+        type: Number,
+        default: 0 // Charged to the buyer
+      },
       payment: Number
     },
+    tax: {
+      type: Number,
+      default: 0 // Tax the buyer pays on the order and fees
+    },
     total: {
       type: Number,
       required: true
@@ -157,7 +381,92 @@ const orderSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    default: 'USD'
+    enum: CURRENCIES,
+    default: getBaseCurrency // The gig's currency
+  },
+  
+  // Exchange rates locked at purchase, from the order currency
+  exchange: {
+    baseCurrency: String,
+    baseRate: Number, // To the base currency, for reports
+    displayCurrency: String,
+    displayRate: Number, // To the currency the buyer saw prices in
+    lockedAt: Date
+  },
+  
+  // Tax breakdown calculated at purchase from the buyer's and seller's tax profiles
+  tax: {
+    buyerCountry: String,
+    sellerCountry: String,
+    lines: [{
+      _id: false,
+      kind: {
+        type: String,
+        enum: ['order', 'buyer_fees', 'platform_fee']
+      },
+      paidBy: {
+        type: String,
+        enum: ['buyer', 'seller']
+      },
+      name: String,
+      country: String,
+      rate: Number,
+      taxableAmount: Number,
+      amount: Number,
+      reverseCharge: Boolean,
+      note: String
+    }],
+    buyerTotal: {
+      type: Number,
+      default: 0
+    },
+    sellerTotal: {
+      type: Number,
+      default: 0 // Tax on the platform commission, deducted from seller earnings
+    },
+    reverseCharge: {
+      type: Boolean,
+      default: false
+    },
+    calculatedAt: Date
+  },
+  
+  // Fee schedule version and rule the order was priced with; orders are never repriced
+  feeRule: {
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeeSchedule' // Unset when priced with the default rates
+    },
+    version: Number,
+    ruleId: mongoose.Schema.Types.ObjectId,
+    ruleName: String,
+    platformRate: Number,
+    serviceRate: Number,
+    serviceFixed: Number
+  },
+  
+  // Coupon applied at checkout
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    issuer: {
+      type: String,
+      enum: ['platform', 'seller']
+    },
+    // Who bears the discount: the platform (out of its fee) or the seller (out of earnings)
+    fundedBy: {
+      type: String,
+      enum: ['platform', 'seller']
+    },
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed']
+    },
+    value: Number,
+    discount: Number
   },
   
   // Order Status and Timeline
@@ -177,6 +486,7 @@ const orderSchema = new mongoose.Schema({
     ],
     default: 'pending'
   },
+  timeline: [timelineEntrySchema],
   
   // Important Dates
   dates: {
@@ -188,7 +498,13 @@ const orderSchema = new mongoose.Schema({
     dueDate: Date,
     delivered: Date,
     completed: Date,
-    cancelled: Date
+    cancelled: Date,
+    lateAt: Date, // When the order was flagged as past its due date
+    deadlineReminderAt: Date // Last due date reminder sent to the seller
+  },
+  isLate: {
+    type: Boolean,
+    default: false
   },
   
   // Requirements and Instructions
@@ -202,7 +518,7 @@ const orderSchema = new mongoose.Schema({
       url: String,
       fileId: String,
       name: String,
-      type: String
+      type: { type: String } // MIME type
     }]
   },
   
@@ -216,6 +532,9 @@ const orderSchema = new mongoose.Schema({
     default: 0
   },
   
+  // Deadline extensions
+  extensions: [extensionSchema],
+  
   // Milestones (for complex orders)
   milestones: [milestoneSchema],
   
@@ -226,25 +545,66 @@ const orderSchema = new mongoose.Schema({
   // Payment Information
   payment: {
     method: String,
+    provider: String, // Payment provider adapter that took the charge
     transactionId: String,
     status: {
       type: String,
       enum: ['pending', 'completed', 'failed', 'refunded'],
       default: 'pending'
     },
+    escrowStatus: {
+      type: String,
+      enum: ['none', 'held', 'partially_released', 'released', 'refunded'],
+      default: 'none'
+    },
     paidAt: Date,
+    releasedAt: Date,
     refundedAt: Date,
     refundAmount: Number
   },
   
+  // Tips from the buyer after completion, paid to the seller in full
+  tips: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    message: String,
+    provider: String,
+    providerReference: String,
+    tippedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Cancellation/Dispute
   cancellation: {
     requestedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    requesterRole: {
+      type: String,
+      enum: ['buyer', 'seller']
+    },
     reason: String,
     requestedAt: Date,
+    respondBy: Date, // Counterparty deadline, after which the request escalates to admin
+    status: {
+      type: String,
+      enum: [
+        'requested', // Waiting for the counterparty
+        'escalated', // Counterparty did not respond in time, waiting for admin
+        'approved',  // Accepted by the counterparty or an admin, order cancelled
+        'declined',  // Declined by the counterparty or rejected by an admin
+        'withdrawn'  // Withdrawn by the requester
+      ]
+    },
+    response: String,
+    respondedAt: Date,
+    escalatedAt: Date,
     approvedAt: Date,
     approvedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -257,9 +617,33 @@ const orderSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    initiatorRole: {
+      type: String,
+      enum: ['buyer', 'seller']
+    },
     reason: String,
     details: String,
     initiatedAt: Date,
+    status: {
+      type: String,
+      enum: [
+        'open',         // Waiting for an admin
+        'under_review', // Assigned to an admin
+        'resolved'
+      ]
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: Date,
+    evidence: [disputeEvidenceSchema],
+    messages: [disputeMessageSchema],
+    outcome: {
+      type: String,
+      enum: ['full_refund', 'partial_refund', 'release_to_seller', 'redo']
+    },
+    refundAmount: Number,
     resolvedAt: Date,
     resolution: String,
     resolvedBy: {
@@ -273,7 +657,10 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  sellerEarnings: Number,
+  sellerEarnings: {
+    type: Number,
+    required: true // Priced by the pricing service from the fee schedule
+  },
   
   // Metadata
   metadata: {
@@ -299,21 +686,31 @@ orderSchema.index({ seller: 1, createdAt: -1 });
 orderSchema.index({ gig: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ 'dates.dueDate': 1 });
+orderSchema.index({ 'cancellation.status': 1, 'cancellation.respondBy': 1 });
+orderSchema.index({ 'dispute.status': 1, 'dispute.initiatedAt': 1 });
+orderSchema.index({ 'coupon.couponId': 1, buyer: 1 });
+// One order per subscription cycle, so a retried renewal cannot bill twice
+orderSchema.index(
+  { subscription: 1, 'subscriptionCycle.number': 1 },
+  { unique: true, partialFilterExpression: { subscription: { $exists: true } } }
+);
 orderSchema.index({ createdAt: -1 });
 
+// Generate order ID before validation so the required check passes
+orderSchema.pre('validate', function(next) {
+  if (this.isNew && !this.orderId) {
+    this.orderId = this.constructor.generateOrderId();
+  }
+  next();
+});
+
 // Pre-save middleware
 orderSchema.pre('save', function(next) {
   this.updatedAt = new Date();
   
-  // Generate order ID if not present
-  if (!this.orderId) {
-    this.orderId = 'ORD-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6).toUpperCase();
-  }
-  
   // Set due date when order is accepted
   if (this.isModified('status') && this.status === 'accepted' && !this.dates.dueDate) {
-    const deliveryDays = this.packageDetails.deliveryTime || 7;
-    this.dates.dueDate = new Date(Date.now() + deliveryDays * 24 * 60 * 60 * 1000);
+    this.dates.dueDate = new Date(Date.now() + this.getDeliveryDays() * 24 * 60 * 60 * 1000);
     this.dates.accepted = new Date();
   }
   
@@ -322,13 +719,6 @@ orderSchema.pre('save', function(next) {
     this.dates.completed = new Date();
   }
   
-  // Calculate seller earnings
-  if (this.amount && !this.sellerEarnings) {
-    const platformFeeRate = 0.1; // 10% platform fee
-    this.platformFee = this.amount.subtotal * platformFeeRate;
-    this.sellerEarnings = this.amount.subtotal - this.platformFee;
-  }
-  
   next();
 });
 
@@ -350,6 +740,15 @@ orderSchema.virtual('timeRemaining').get(function() {
 
 // Virtual for progress percentage
 orderSchema.virtual('progress').get(function() {
+  // Milestone orders: progress weighted by each milestone's share of the price
+  const milestones = (this.milestones || []).filter(m => m.status !== 'cancelled');
+  if (milestones.length > 0 && this.status !== 'completed') {
+    const weights = { pending: 0, in_progress: 0.5, delivered: 0.8, completed: 1 };
+    const total = milestones.reduce((sum, m) => sum + m.amount, 0);
+    const done = milestones.reduce((sum, m) => sum + m.amount * weights[m.status], 0);
+    return total > 0 ? Math.round((done / total) * 100) : 0;
+  }
+
   switch (this.status) {
     case 'pending': return 0;
     case 'accepted': return 20;
@@ -363,21 +762,87 @@ orderSchema.virtual('progress').get(function() {
 });
 
 // Instance methods
+orderSchema.methods.getPartyRole = function(userId) {
+  if (!userId) return null;
+  if (this.buyer.equals(userId)) return 'buyer';
+  if (this.seller.equals(userId)) return 'seller';
+  return null;
+};
+
+orderSchema.methods.getActorRole = function(user) {
+  if (!user) return null;
+  return this.getPartyRole(user._id) || (user.role === 'admin' ? 'admin' : null);
+};
+
+orderSchema.methods.isTransitionDefined = function(toStatus) {
+  return Boolean(ORDER_TRANSITIONS[this.status]?.[toStatus]);
+};
+
+orderSchema.methods.isDirectTransition = function(toStatus) {
+  return Boolean(ORDER_TRANSITIONS[this.status]?.[toStatus]?.direct);
+};
+
+orderSchema.methods.canTransition = function(toStatus, role) {
+  const allowedRoles = ORDER_TRANSITIONS[this.status]?.[toStatus]?.roles;
+  return Boolean(allowedRoles && role && allowedRoles.includes(role));
+};
+
+// Status a seller delivery moves the order to from its current status
+orderSchema.methods.getDeliveryStatus = function() {
+  return this.status === 'revision_requested' ? 'revision_delivered' : 'delivered';
+};
+
+orderSchema.methods.addTimelineEvent = function(event, { actor, role = 'system', note, from, to } = {}) {
+  this.timeline.push({
+    event,
+    from,
+    to,
+    actor,
+    actorRole: role,
+    note,
+    at: new Date()
+  });
+  return this;
+};
+
+// Apply a status change and record it on the timeline. Callers are expected
+// to have checked canTransition() first; this does not save.
+orderSchema.methods.recordTransition = function(toStatus, { actor, role = 'system', note } = {}) {
+  this.addTimelineEvent('status_change', { actor, role, note, from: this.status, to: toStatus });
+  this.status = toStatus;
+
+  const now = new Date();
+  if (toStatus === 'delivered' || toStatus === 'revision_delivered') {
+    this.dates.delivered = now;
+  }
+  if (toStatus === 'cancelled') {
+    this.dates.cancelled = now;
+  }
+  return this;
+};
+
+// Package delivery time adjusted by the purchased extras, at least one day
+orderSchema.methods.getDeliveryDays = function() {
+  const base = this.packageDetails?.deliveryTime || 7;
+  const extraDays = (this.extras || []).reduce((sum, extra) => sum + (extra.extraDays || 0), 0);
+  return Math.max(1, base + extraDays);
+};
+
+orderSchema.methods.hasMilestonePlan = function() {
+  return this.milestones.some(m => m.status !== 'cancelled');
+};
+
 orderSchema.methods.canBeCancelled = function(userId) {
-  const allowedStatuses = ['pending', 'accepted', 'in_progress'];
-  return allowedStatuses.includes(this.status) && 
-         (this.buyer.equals(userId) || this.seller.equals(userId));
+  return this.canTransition('cancelled', this.getPartyRole(userId));
 };
 
 orderSchema.methods.canRequestRevision = function(userId) {
-  return this.status === 'delivered' && 
-         this.buyer.equals(userId) && 
-         this.revisionsUsed < this.packageDetails.revisions;
+  return this.canTransition('revision_requested', this.getPartyRole(userId)) &&
+         this.revisionsUsed < (this.packageDetails.revisions || 0);
 };
 
 orderSchema.methods.canDeliver = function(userId) {
-  const allowedStatuses = ['accepted', 'in_progress', 'revision_requested'];
-  return allowedStatuses.includes(this.status) && this.seller.equals(userId);
+  return this.canTransition(this.getDeliveryStatus(), this.getPartyRole(userId));
 };
 
 orderSchema.methods.addMessage = function(senderId, content, attachments = []) {
@@ -400,40 +865,35 @@ orderSchema.methods.markMessageAsRead = function(messageId, userId) {
   return Promise.resolve(this);
 };
 
-orderSchema.methods.acceptOrder = function() {
-  this.status = 'accepted';
-  this.dates.accepted = new Date();
-  const deliveryDays = this.packageDetails.deliveryTime || 7;
-  this.dates.dueDate = new Date(Date.now() + deliveryDays * 24 * 60 * 60 * 1000);
-  return this.save();
+orderSchema.methods.markAllMessagesAsRead = function(userId, messageIds = null) {
+  let changed = false;
+  this.messages.forEach(message => {
+    if (messageIds && !messageIds.some(id => message._id.equals(id))) return;
+    if (message.sender.equals(userId)) return;
+    if (message.readBy.some(r => r.user.equals(userId))) return;
+    message.readBy.push({ user: userId });
+    changed = true;
+  });
+  return changed ? this.save() : Promise.resolve(this);
 };
 
-orderSchema.methods.deliverOrder = function(deliverables) {
-  this.status = 'delivered';
-  this.dates.delivered = new Date();
-  this.deliverables = this.deliverables.concat(deliverables);
-  return this.save();
-};
+// Messages each participant has not read yet (their own messages excluded)
+orderSchema.methods.getUnreadCounts = function() {
+  const countFor = (userId) => this.messages.filter(message =>
+    !message.sender.equals(userId) && !message.readBy.some(r => r.user.equals(userId))
+  ).length;
 
-orderSchema.methods.requestRevision = function(reason, details) {
-  this.status = 'revision_requested';
-  this.revisionsUsed += 1;
-  this.revisions.push({
-    requestedBy: this.buyer,
-    reason,
-    details,
-    requestedAt: new Date()
-  });
-  return this.save();
+  return {
+    buyer: countFor(this.buyer._id || this.buyer),
+    seller: countFor(this.seller._id || this.seller)
+  };
 };
 
-orderSchema.methods.completeOrder = function() {
-  this.status = 'completed';
-  this.dates.completed = new Date();
-  return this.save();
+// Static methods
+orderSchema.statics.generateOrderId = function() {
+  return 'ORD-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6).toUpperCase();
 };
 
-// Static methods
 orderSchema.statics.findByBuyer = function(buyerId) {
   return this.find({ buyer: buyerId })
     .populate('seller', 'username displayName avatar')
@@ -454,6 +914,13 @@ orderSchema.statics.findActiveOrders = function() {
   });
 };
 
+orderSchema.statics.findOverdueCancellationRequests = function(now = new Date()) {
+  return this.find({
+    'cancellation.status': 'requested',
+    'cancellation.respondBy': { $lt: now }
+  });
+};
+
 orderSchema.statics.findOverdueOrders = function() {
   return this.find({
     'dates.dueDate': { $lt: new Date() },
@@ -461,6 +928,34 @@ orderSchema.statics.findOverdueOrders = function() {
   });
 };
 
+// Delivered orders the buyer has not reacted to since `before`
+orderSchema.statics.findOrdersToAutoComplete = function(before) {
+  return this.find({
+    status: { $in: ['delivered', 'revision_delivered'] },
+    'dates.delivered': { $lt: before }
+  });
+};
+
+// Pending orders the seller has not accepted since `before`
+orderSchema.statics.findExpiredPendingOrders = function(before) {
+  return this.find({
+    status: 'pending',
+    createdAt: { $lt: before }
+  });
+};
+
+// Active orders due within `windowMs` whose seller has not been reminded of
+// the current due date yet
+orderSchema.statics.findOrdersDueForReminder = function(windowMs, now = new Date()) {
+  return this.find({
+    status: { $in: ['accepted', 'in_progress', 'revision_requested'] },
+    'dates.dueDate': { $gt: now, $lte: new Date(now.getTime() + windowMs) },
+    $expr: {
+      $lt: ['$dates.deadlineReminderAt', { $subtract: ['$dates.dueDate', windowMs] }]
+    }
+  });
+};
+
 const Order = mongoose.model('Order', orderSchema);
 
 export default Order;
@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+
+export const SUGGESTION_TYPES = ['title', 'tag', 'subcategory', 'seller', 'query'];
+
+// An order is worth this many views in a suggestion's popularity (an order
+// per 20 views is the conversion search ranking treats as excellent)
+const ORDER_WEIGHT = 20;
+// Popular searches need this many searches to be suggested, and to have
+// been searched within SEARCH_TERM_MAX_AGE_DAYS
+const MIN_SEARCH_COUNT = 3;
+const SEARCH_TERM_MAX_AGE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+// Lowercase with single spaces, for matching
+export const normalizeSearchText = (text) => String(text ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// N-grams a suggestion is found by: the trigrams of every word plus each
+// word's first one and two characters, so short prefixes match too. A query
+// word is looked up by its trigrams, or as a prefix when shorter than three.
+export const getSearchGrams = (text, { query = false } = {}) => {
+  const grams = new Set();
+
+  for (const word of normalizeSearchText(text).split(' ').filter(Boolean)) {
+    if (query && word.length < 3) {
+      grams.add(word);
+      continue;
+    }
+    if (!query) {
+      grams.add(word.slice(0, 1));
+      if (word.length > 1) grams.add(word.slice(0, 2));
+    }
+    for (let i = 0; i + 3 <= word.length; i++) {
+      grams.add(word.slice(i, i + 3));
+    }
+  }
+
+  return [...grams];
+};
+
+// Autocomplete entries for the gig search box, built from the search index
+// and popular searches by the refresh-search-index job
+const searchSuggestionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: SUGGESTION_TYPES,
+    required: true
+  },
+  text: {
+    type: String, // As displayed
+    required: true
+  },
+  normalized: {
+    type: String,
+    required: true
+  },
+  grams: [String],
+  popularity: {
+    type: Number, // Views plus weighted orders of matching gigs; searches for popular queries
+    default: 0
+  },
+  builtAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+searchSuggestionSchema.index({ type: 1, normalized: 1 }, { unique: true });
+searchSuggestionSchema.index({ grams: 1, popularity: -1 });
+
+// Static methods
+
+// Most popular suggestions sharing an n-gram with the query; the caller
+// ranks them by how closely they match
+searchSuggestionSchema.statics.findCandidates = function(query, { limit = 200 } = {}) {
+  const grams = getSearchGrams(query, { query: true });
+  if (!grams.length) return Promise.resolve([]);
+
+  return this.find({ grams: { $in: grams } })
+    .select('type text normalized popularity')
+    .sort({ popularity: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// Rebuild every suggestion from the gig search index and recent popular
+// searches, dropping those no longer present
+searchSuggestionSchema.statics.rebuild = async function() {
+  const GigSearchDocument = mongoose.model('GigSearchDocument');
+  const SearchTerm = mongoose.model('SearchTerm');
+  const builtAt = new Date();
+  const suggestions = new Map();
+
+  const add = (type, text, popularity) => {
+    const normalized = normalizeSearchText(text);
+    if (!normalized) return;
+
+    const key = `${type}:${normalized}`;
+    const existing = suggestions.get(key);
+    if (existing) {
+      existing.popularity += popularity;
+    } else {
+      suggestions.set(key, { type, text: text.trim(), normalized, popularity });
+    }
+  };
+
+  const popularity = { $sum: { $add: ['$views', { $multiply: [ORDER_WEIGHT, '$orders'] }] } };
+  const sources = [
+    { type: 'title', field: 'title' },
+    { type: 'tag', field: 'tags', unwind: true },
+    { type: 'subcategory', field: 'subcategory' },
+    { type: 'seller', field: 'sellerUsername' }
+  ];
+
+  for (const { type, field, unwind } of sources) {
+    const groups = await GigSearchDocument.aggregate([
+      ...(unwind ? [{ $unwind: `$${field}` }] : []),
+      { $match: { [field]: { $type: 'string', $ne: '' } } },
+      { $group: { _id: { $toLower: `$${field}` }, text: { $first: `$${field}` }, popularity } }
+    ]);
+    groups.forEach(group => add(type, group.text, group.popularity));
+  }
+
+  const terms = await SearchTerm.find({
+    count: { $gte: MIN_SEARCH_COUNT },
+    lastResultCount: { $gt: 0 },
+    lastSearchedAt: { $gte: new Date(builtAt.getTime() - SEARCH_TERM_MAX_AGE_DAYS * DAY_MS) }
+  }).select('term count').lean();
+  terms.forEach(term => add('query', term.term, term.count));
+
+  const operations = [...suggestions.values()].map(suggestion => ({
+    updateOne: {
+      filter: { type: suggestion.type, normalized: suggestion.normalized },
+      update: {
+        $set: {
+          text: suggestion.text,
+          grams: getSearchGrams(suggestion.normalized),
+          popularity: suggestion.popularity,
+          builtAt
+        }
+      },
+      upsert: true
+    }
+  }));
+
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    await this.bulkWrite(operations.slice(i, i + BATCH_SIZE), { ordered: false });
+  }
+
+  const removed = await this.deleteMany({ builtAt: { $lt: builtAt } });
+  return { suggestions: operations.length, removed: removed.deletedCount };
+};
+
+const SearchSuggestion = mongoose.model('SearchSuggestion', searchSuggestionSchema);
+
+export default SearchSuggestion;
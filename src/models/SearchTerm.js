@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import { normalizeSearchText } from './SearchSuggestion.js';
+
+const MAX_TERM_LENGTH = 100;
+
+// Terms buyers searched for on /api/gigs/search, counted so the popular ones
+// can be offered as suggestions
+const searchTermSchema = new mongoose.Schema({
+  term: {
+    type: String, // Normalized (lowercase, single spaces)
+    required: true,
+    unique: true,
+    maxlength: MAX_TERM_LENGTH
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastResultCount: {
+    type: Number, // Results the latest search returned
+    default: 0
+  },
+  lastSearchedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes (term already has unique index)
+searchTermSchema.index({ count: -1 });
+searchTermSchema.index({ lastSearchedAt: -1 });
+
+// Static methods
+
+// Count a search; terms too short to suggest are ignored
+searchTermSchema.statics.record = function(query, resultCount) {
+  const term = normalizeSearchText(query).slice(0, MAX_TERM_LENGTH).trim();
+  if (term.length < 2) return null;
+
+  return this.findOneAndUpdate(
+    { term },
+    {
+      $inc: { count: 1 },
+      $set: { lastResultCount: resultCount, lastSearchedAt: new Date() }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+const SearchTerm = mongoose.model('SearchTerm', searchTermSchema);
+
+export default SearchTerm;
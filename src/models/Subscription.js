@@ -0,0 +1,210 @@
+import mongoose from 'mongoose';
+import { CURRENCIES, getBaseCurrency } from '../config/currencies.js';
+
+export const SUBSCRIPTION_INTERVALS = ['week', 'month', 'quarter'];
+
+// Snapshot of the subscribed package and its per-cycle terms; each cycle's
+// order is created from it
+const planSchema = new mongoose.Schema({
+  title: String,
+  description: String,
+  features: [String],
+  deliveryTime: Number, // in days
+  revisions: Number,
+  interval: {
+    type: String,
+    enum: SUBSCRIPTION_INTERVALS,
+    required: true
+  },
+  price: {
+    type: Number, // per cycle
+    required: true
+  },
+  deliverables: {
+    type: Number, // per cycle
+    required: true
+  }
+}, { _id: false });
+
+const historyEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['created', 'renewed', 'payment_failed', 'paused', 'resumed', 'upgraded', 'cancelled'],
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['buyer', 'seller', 'admin', 'system'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order' // Cycle order created with this entry, if any
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const subscriptionSchema = new mongoose.Schema({
+  subscriptionId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  gig: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gig',
+    required: true
+  },
+  gigTitle: String,
+  package: {
+    type: String,
+    enum: ['basic', 'standard', 'premium'],
+    required: true
+  },
+  plan: {
+    type: planSchema,
+    required: true
+  },
+  // The gig's currency; the plan price is in it
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    default: getBaseCurrency
+  },
+  status: {
+    type: String,
+    enum: [
+      'active',
+      'paused',    // No cycles are billed until resumed
+      'past_due',  // Last renewal charge failed, retried daily
+      'cancelled'
+    ],
+    default: 'active'
+  },
+  // Saved payment method charged every cycle
+  paymentSource: {
+    type: String,
+    select: false
+  },
+  // Answers to the gig requirements, reused for every cycle's order
+  requirements: {
+    answers: [{
+      question: String,
+      answer: String
+    }],
+    additionalInfo: String
+  },
+
+  // Billing
+  cycleCount: {
+    type: Number,
+    default: 0
+  },
+  currentPeriodStart: Date,
+  currentPeriodEnd: Date,
+  nextBillingAt: Date,
+  failedPayments: {
+    type: Number,
+    default: 0
+  },
+  lastPaymentError: String,
+
+  pausedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: String,
+    enum: ['buyer', 'seller', 'admin', 'system']
+  },
+  cancellationReason: String,
+  history: [historyEntrySchema],
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes (subscriptionId already has unique index)
+subscriptionSchema.index({ buyer: 1, createdAt: -1 });
+subscriptionSchema.index({ seller: 1, createdAt: -1 });
+subscriptionSchema.index({ status: 1, nextBillingAt: 1 });
+
+// Generate subscription ID before validation so the required check passes
+subscriptionSchema.pre('validate', function(next) {
+  if (this.isNew && !this.subscriptionId) {
+    this.subscriptionId = 'SUB-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6).toUpperCase();
+  }
+  next();
+});
+
+// Pre-save middleware
+subscriptionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Instance methods
+subscriptionSchema.methods.getPartyRole = function(userId) {
+  if (this.buyer.equals(userId)) return 'buyer';
+  if (this.seller.equals(userId)) return 'seller';
+  return null;
+};
+
+subscriptionSchema.methods.addHistoryEntry = function(action, { by, role, order, note } = {}) {
+  this.history.push({ action, by, role, order, note, at: new Date() });
+  return this;
+};
+
+// End of a billing period starting at `date`. Monthly periods keep the
+// day of the month, clamped to shorter months (Jan 31 -> Feb 28).
+subscriptionSchema.methods.getPeriodEnd = function(date) {
+  const end = new Date(date);
+
+  if (this.plan.interval === 'week') {
+    end.setUTCDate(end.getUTCDate() + 7);
+    return end;
+  }
+
+  const day = end.getUTCDate();
+  end.setUTCDate(1);
+  end.setUTCMonth(end.getUTCMonth() + (this.plan.interval === 'quarter' ? 3 : 1));
+  const lastDay = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() + 1, 0)).getUTCDate();
+  end.setUTCDate(Math.min(day, lastDay));
+
+  return end;
+};
+
+// Static methods
+subscriptionSchema.statics.findDueForBilling = function(now = new Date()) {
+  return this.find({
+    status: { $in: ['active', 'past_due'] },
+    nextBillingAt: { $lte: now }
+  }).select('+paymentSource');
+};
+
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+
+export default Subscription;
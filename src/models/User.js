@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { CURRENCIES } from '../config/currencies.js';
 
 const socialAccountSchema = new mongoose.Schema({
   platform: {
@@ -38,6 +39,27 @@ const portfolioItemSchema = new mongoose.Schema({
   }
 });
 
+const payoutMethodSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['paypal', 'payoneer', 'bank_transfer']
+  },
+  label: String,
+  email: String, // PayPal / Payoneer account email
+  accountHolder: String,
+  bankName: String,
+  accountLast4: String, // Only the last 4 digits are stored
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const userSchema = new mongoose.Schema({
   // Basic Information
   clerkId: {
@@ -132,10 +154,20 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    cancelledOrders: {
+      type: Number,
+      default: 0
+    },
+    cancellationRate: {
+      type: Number, // % of finished orders that were cancelled
+      default: 0
+    },
     responseTime: {
       type: Number, // in hours
       default: 24
     },
+    payoutMethods: [payoutMethodSchema],
+    lastWithdrawalAt: Date,
     availability: {
       type: String,
       enum: ['available', 'busy', 'away'],
@@ -167,6 +199,34 @@ const userSchema = new mongoose.Schema({
     }]
   },
   
+  // Tax details used for VAT/GST on orders and fees, and on invoices
+  taxProfile: {
+    entityType: {
+      type: String,
+      enum: ['individual', 'business'],
+      default: 'individual'
+    },
+    legalName: String,
+    taxId: {
+      type: String, // VAT/GST registration number
+      uppercase: true,
+      trim: true,
+      set: value => value?.replace(/\s+/g, '')
+    },
+    billingAddress: {
+      line1: String,
+      line2: String,
+      city: String,
+      state: String,
+      postalCode: String,
+      country: {
+        type: String,
+        uppercase: true,
+        match: [/^[A-Z]{2}$/, 'Country must be a two-letter ISO code']
+      }
+    }
+  },
+  
   // Buyer-specific Information
   buyerProfile: {
     company: String,
@@ -183,6 +243,10 @@ const userSchema = new mongoose.Schema({
   
   // Preferences
   preferences: {
+    currency: {
+      type: String,
+      enum: CURRENCIES // Prices are shown converted into this currency
+    },
     notifications: {
       email: {
         type: Boolean,
@@ -264,8 +328,32 @@ userSchema.virtual('profileCompletion').get(function() {
   return Math.round((completedFields / fields.length) * 100);
 });
 
+// Profile fields copied onto the seller's gig search documents
+const SEARCH_INDEXED_PATHS = [
+  'username',
+  'location',
+  'verified',
+  'sellerProfile.rating',
+  'sellerProfile.totalReviews',
+  'sellerProfile.languages',
+  'sellerProfile.socialAccounts',
+  'sellerProfile.completedOrders',
+  'sellerProfile.cancelledOrders',
+  'sellerProfile.responseTime'
+];
+
+const touchesSearchIndex = (paths) => paths.some(path => SEARCH_INDEXED_PATHS.some(indexed =>
+  path === indexed || path.startsWith(`${indexed}.`) || indexed.startsWith(`${path}.`)
+));
+
+// Paths written by an update query ({ $set: { a: 1 } } or { a: 1 })
+const getUpdatedPaths = (update = {}) => Object.entries(update).flatMap(([key, value]) =>
+  key.startsWith('$') ? Object.keys(value || {}) : [key]
+);
+
 // Pre-save middleware
 userSchema.pre('save', async function(next) {
+  this.$locals.reindex = !this.isNew && touchesSearchIndex(this.modifiedPaths());
   this.updatedAt = new Date();
   
   // Hash password if modified
@@ -282,6 +370,35 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Keep the seller fields of the user's gig search documents in step.
+// Failures are logged; the refresh-search-index job repairs the index.
+const syncSearchDocuments = async (userId, session) => {
+  try {
+    await mongoose.model('GigSearchDocument').syncSeller(userId, { session });
+  } catch (error) {
+    console.error('Error updating gig search index:', error);
+  }
+};
+
+userSchema.post('save', async function(doc) {
+  if (doc.$locals.reindex) {
+    await syncSearchDocuments(doc._id, doc.$session());
+  }
+});
+
+userSchema.post('findOneAndUpdate', async function(doc) {
+  if (doc && touchesSearchIndex(getUpdatedPaths(this.getUpdate()))) {
+    await syncSearchDocuments(doc._id, this.getOptions().session);
+  }
+});
+
+userSchema.post('updateOne', { document: false, query: true }, async function() {
+  const userId = this.getQuery()._id;
+  if (userId && touchesSearchIndex(getUpdatedPaths(this.getUpdate()))) {
+    await syncSearchDocuments(userId, this.getOptions().session);
+  }
+});
+
 // Instance methods
 userSchema.methods.comparePassword = async function(candidatePassword) {
   if (!this.password) return false;
@@ -293,6 +410,17 @@ userSchema.methods.generateUsername = function() {
   return base.replace(/[^a-z0-9]/g, '') + Math.random().toString(36).substr(2, 4);
 };
 
+// Country and whether the user is a tax-registered business (which makes
+// cross-border supplies to them reverse charged)
+userSchema.methods.getTaxStatus = function() {
+  const profile = this.taxProfile || {};
+  return {
+    country: profile.billingAddress?.country || null,
+    isBusiness: profile.entityType === 'business' && Boolean(profile.taxId),
+    taxId: profile.taxId
+  };
+};
+
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
   delete obj.password;
@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+import { CURRENCIES, getBaseCurrency } from '../config/currencies.js';
+
+const auditEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'paid', 'failed'],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['seller', 'admin', 'system'],
+    required: true
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const withdrawalSchema = new mongoose.Schema({
+  withdrawalId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    default: getBaseCurrency
+  },
+  
+  // Snapshot of the payout method at request time
+  payoutMethod: {
+    methodId: mongoose.Schema.Types.ObjectId,
+    type: {
+      type: String,
+      enum: ['paypal', 'payoneer', 'bank_transfer']
+    },
+    label: String,
+    email: String,
+    accountHolder: String,
+    bankName: String,
+    accountLast4: String
+  },
+  
+  status: {
+    type: String,
+    enum: [
+      'pending',    // Waiting for admin review, funds reserved
+      'processing', // Approved, payout in progress, funds reserved
+      'rejected',   // Rejected by admin, funds returned to balance
+      'paid',       // Approved and paid out
+      'failed'      // Approved but the payout failed, funds returned to balance
+    ],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String,
+  provider: String,
+  providerReference: String, // Payout ID from the payment provider
+  paidAt: Date,
+  
+  auditTrail: [auditEntrySchema],
+  
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes (withdrawalId already has unique index)
+withdrawalSchema.index({ seller: 1, createdAt: -1 });
+withdrawalSchema.index({ status: 1, createdAt: 1 });
+
+// Generate withdrawal ID before validation so the required check passes
+withdrawalSchema.pre('validate', function(next) {
+  if (this.isNew && !this.withdrawalId) {
+    this.withdrawalId = 'WDR-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6).toUpperCase();
+  }
+  next();
+});
+
+// Pre-save middleware
+withdrawalSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Instance methods
+withdrawalSchema.methods.addAuditEntry = function(action, { actor, role, note } = {}) {
+  this.auditTrail.push({ action, actor, actorRole: role, note, at: new Date() });
+  return this;
+};
+
+// Static methods
+withdrawalSchema.statics.getSellerTotals = async function(sellerId, { session } = {}) {
+  const totals = await this.aggregate([
+    { $match: { seller: new mongoose.Types.ObjectId(sellerId), status: { $in: ['pending', 'processing', 'paid'] } } },
+    { $group: { _id: '$status', amount: { $sum: '$amount' } } }
+  ]).session(session || null);
+
+  const byStatus = Object.fromEntries(totals.map(t => [t._id, t.amount]));
+  return {
+    pendingWithdrawal: Math.round(((byStatus.pending || 0) + (byStatus.processing || 0)) * 100) / 100,
+    withdrawn: Math.round((byStatus.paid || 0) * 100) / 100
+  };
+};
+
+withdrawalSchema.statics.findPending = function() {
+  return this.find({ status: 'pending' })
+    .populate('seller', 'username displayName email')
+    .sort({ createdAt: 1 });
+};
+
+const Withdrawal = mongoose.model('Withdrawal', withdrawalSchema);
+
+export default Withdrawal;
@@ -3,3 +3,17 @@ export { default as User } from './User.js';
 export { default as Gig } from './Gig.js';
 export { default as Order } from './Order.js';
 export { default as Review } from './Review.js';
+export { default as LedgerEntry } from './LedgerEntry.js';
+export { default as Withdrawal } from './Withdrawal.js';
+export { default as Job } from './Job.js';
+export { default as Offer } from './Offer.js';
+export { default as Coupon } from './Coupon.js';
+export { default as FeeSchedule } from './FeeSchedule.js';
+export { default as ExchangeRate } from './ExchangeRate.js';
+export { default as Counter } from './Counter.js';
+export { default as Invoice } from './Invoice.js';
+export { default as Subscription } from './Subscription.js';
+export { default as GigSearchDocument } from './GigSearchDocument.js';
+export { default as SearchSuggestion } from './SearchSuggestion.js';
+export { default as SearchTerm } from './SearchTerm.js';
+export { default as GigRevision } from './GigRevision.js';
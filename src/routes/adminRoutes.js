@@ -1,8 +1,19 @@
 import express from 'express';
+import multer from 'multer';
 import { authenticateJWT, requireAdmin } from '../middleware/auth.js';
 import { validatePagination } from '../middleware/validation.js';
-import { User, Gig, Order, Review } from '../models/index.js';
+import { User, Gig, Order, Review, Withdrawal, Coupon, FeeSchedule, Invoice, GigSearchDocument, SearchSuggestion } from '../models/index.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { approveWithdrawal, rejectWithdrawal } from '../services/walletService.js';
+import { escalateOverdueCancellations, resolveCancellation } from '../services/cancellationService.js';
+import { assignDispute, resolveDispute, recoverDisputeRecord } from '../services/disputeService.js';
+import { createCoupon, updateCoupon, getCouponAnalytics } from '../services/couponService.js';
+import { createFeeSchedule, updateFeeSchedule, deleteFeeSchedule } from '../services/feeScheduleService.js';
+import { listExchangeRates, setExchangeRates, parseExchangeRatesFile, toBaseCurrency } from '../services/currencyService.js';
+import { getTaxReport } from '../services/taxService.js';
+import { approveGig, rejectGig, requestGigChanges } from '../services/gigModerationService.js';
+import { AWAITING_REVIEW_FILTER } from '../models/Gig.js';
+import { getBaseCurrency } from '../config/currencies.js';
 
 const router = express.Router();
 
@@ -18,9 +29,21 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
     Gig.countDocuments(),
     Gig.countDocuments({ status: 'active' }),
     Order.countDocuments(),
-    Review.countDocuments({ status: 'published' })
+    Review.countDocuments({ status: 'published' }),
+    Order.aggregate([
+      { $match: { status: 'completed' } },
+      {
+        $group: {
+          _id: null,
+          grossSales: { $sum: toBaseCurrency('$amount.total') },
+          platformFees: { $sum: toBaseCurrency('$platformFee') }
+        }
+      }
+    ])
   ]);
 
+  const round = (value) => Math.round((value || 0) * 100) / 100;
+
   res.json({
     success: true,
     data: {
@@ -30,7 +53,13 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
       totalGigs: stats[3],
       activeGigs: stats[4],
       totalOrders: stats[5],
-      totalReviews: stats[6]
+      totalReviews: stats[6],
+      // Completed orders, in the base currency
+      revenue: {
+        currency: getBaseCurrency(),
+        grossSales: round(stats[7][0]?.grossSales),
+        platformFees: round(stats[7][0]?.platformFees)
+      }
     }
   });
 }));
@@ -104,6 +133,69 @@ router.get('/gigs', validatePagination, asyncHandler(async (req, res) => {
   });
 }));
 
+// Get gigs awaiting review (new gigs and edits to live gigs, whose
+// pendingEdit version holds the proposed content), oldest submission first
+router.get('/gigs/moderation-queue', validatePagination, asyncHandler(async (req, res) => {
+  const { page, limit, skip } = req.pagination;
+  const query = { ...AWAITING_REVIEW_FILTER };
+  if (req.query.category) query.category = req.query.category;
+
+  const gigs = await Gig.find(query)
+    .populate('seller', 'username displayName email')
+    .populate('moderationHistory.actor', 'username displayName')
+    .skip(skip)
+    .limit(limit)
+    .sort({ submittedAt: 1 });
+
+  const total = await Gig.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      gigs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// Approve gig
+router.post('/gigs/:id/approve', asyncHandler(async (req, res) => {
+  const gig = await approveGig(req.params.id, req.user, { note: req.body.note });
+
+  res.json({
+    success: true,
+    message: 'Gig approved',
+    data: { gig }
+  });
+}));
+
+// Reject gig
+router.post('/gigs/:id/reject', asyncHandler(async (req, res) => {
+  const gig = await rejectGig(req.params.id, req.user, { reason: req.body.reason });
+
+  res.json({
+    success: true,
+    message: 'Gig rejected',
+    data: { gig }
+  });
+}));
+
+// Send gig back to the seller for changes
+router.post('/gigs/:id/request-changes', asyncHandler(async (req, res) => {
+  const gig = await requestGigChanges(req.params.id, req.user, { notes: req.body.notes });
+
+  res.json({
+    success: true,
+    message: 'Changes requested',
+    data: { gig }
+  });
+}));
+
 // Get seller applications
 router.get('/seller-applications', validatePagination, asyncHandler(async (req, res) => {
   const { page, limit, skip } = req.pagination;
@@ -186,4 +278,510 @@ router.post('/seller-applications/:userId/reject', asyncHandler(async (req, res)
   });
 }));
 
+// Get withdrawal requests (oldest first, so the queue is worked in order)
+router.get('/withdrawals', validatePagination, asyncHandler(async (req, res) => {
+  const { page, limit, skip } = req.pagination;
+  const { status = 'pending', seller } = req.query;
+
+  const query = {};
+  if (status !== 'all') query.status = status;
+  if (seller) query.seller = seller;
+
+  const withdrawals = await Withdrawal.find(query)
+    .populate('seller', 'username displayName email')
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: 1 });
+
+  const total = await Withdrawal.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      withdrawals,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// Get withdrawal with audit trail
+router.get('/withdrawals/:id', asyncHandler(async (req, res) => {
+  const withdrawal = await Withdrawal.findById(req.params.id)
+    .populate('seller', 'username displayName email')
+    .populate('reviewedBy', 'username displayName')
+    .populate('auditTrail.actor', 'username displayName');
+
+  if (!withdrawal) {
+    throw new AppError('Withdrawal not found', 404, 'WITHDRAWAL_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: { withdrawal }
+  });
+}));
+
+// Approve withdrawal and pay it out
+router.post('/withdrawals/:id/approve', asyncHandler(async (req, res) => {
+  const withdrawal = await approveWithdrawal(req.params.id, req.user, { note: req.body.note });
+
+  res.json({
+    success: true,
+    message: withdrawal.status === 'paid' ? 'Withdrawal approved and paid' : 'Withdrawal approved but payout failed',
+    data: { withdrawal }
+  });
+}));
+
+// Reject withdrawal
+router.post('/withdrawals/:id/reject', asyncHandler(async (req, res) => {
+  const withdrawal = await rejectWithdrawal(req.params.id, req.user, { reason: req.body.reason });
+
+  res.json({
+    success: true,
+    message: 'Withdrawal rejected',
+    data: { withdrawal }
+  });
+}));
+
+// Get escalated cancellation requests (overdue requests are escalated first)
+router.get('/cancellations', validatePagination, asyncHandler(async (req, res) => {
+  const { page, limit, skip } = req.pagination;
+
+  await escalateOverdueCancellations();
+
+  const query = { 'cancellation.status': 'escalated' };
+
+  const orders = await Order.find(query)
+    .populate('buyer', 'username displayName email')
+    .populate('seller', 'username displayName email')
+    .populate('cancellation.requestedBy', 'username displayName')
+    .select('orderId status buyer seller amount cancellation createdAt')
+    .skip(skip)
+    .limit(limit)
+    .sort({ 'cancellation.escalatedAt': 1 });
+
+  const total = await Order.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+const findOrderById = async (id) => {
+  const order = await Order.findById(id);
+
+  if (!order) {
+    throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+  }
+
+  return order;
+};
+
+// Approve escalated cancellation (cancels and refunds the order)
+router.post('/cancellations/:orderId/approve', asyncHandler(async (req, res) => {
+  const order = await findOrderById(req.params.orderId);
+  await resolveCancellation(order, req.user, { approve: true, note: req.body.note });
+
+  res.json({
+    success: true,
+    message: 'Cancellation approved, order cancelled and refunded',
+    data: { cancellation: order.cancellation, status: order.status }
+  });
+}));
+
+// Reject escalated cancellation (order continues)
+router.post('/cancellations/:orderId/reject', asyncHandler(async (req, res) => {
+  const order = await findOrderById(req.params.orderId);
+  await resolveCancellation(order, req.user, { approve: false, note: req.body.note });
+
+  res.json({
+    success: true,
+    message: 'Cancellation rejected',
+    data: { cancellation: order.cancellation, status: order.status }
+  });
+}));
+
+// Get disputes (open and under review by default, oldest first)
+router.get('/disputes', validatePagination, asyncHandler(async (req, res) => {
+  const { page, limit, skip } = req.pagination;
+  const { status = 'active', assignedTo } = req.query;
+
+  const query = {};
+  if (status === 'active') {
+    // Including orders disputed without a dispute record (see recoverDisputeRecord)
+    query.$or = [
+      { 'dispute.status': { $in: ['open', 'under_review'] } },
+      { status: 'disputed', 'dispute.status': { $exists: false } }
+    ];
+  } else if (status === 'all') {
+    query['dispute.status'] = { $exists: true };
+  } else {
+    query['dispute.status'] = status;
+  }
+  if (assignedTo) {
+    query['dispute.assignedTo'] = assignedTo === 'me' ? req.user._id : assignedTo;
+  }
+
+  const orders = await Order.find(query)
+    .populate('buyer', 'username displayName email')
+    .populate('seller', 'username displayName email')
+    .populate('dispute.assignedTo', 'username displayName')
+    .select('orderId status buyer seller amount dispute.initiatorRole dispute.reason dispute.initiatedAt dispute.status dispute.assignedTo dispute.outcome dispute.resolvedAt')
+    .skip(skip)
+    .limit(limit)
+    .sort({ 'dispute.initiatedAt': 1 });
+
+  const total = await Order.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+const findDisputedOrder = async (id) => {
+  const order = recoverDisputeRecord(await findOrderById(id));
+
+  if (!order.dispute?.status) {
+    throw new AppError('Order has no dispute', 404, 'DISPUTE_NOT_FOUND');
+  }
+
+  return order;
+};
+
+// Get dispute with evidence, discussion and order timeline
+router.get('/disputes/:orderId', asyncHandler(async (req, res) => {
+  const order = await findDisputedOrder(req.params.orderId);
+
+  await order.populate([
+    { path: 'buyer', select: 'username displayName email' },
+    { path: 'seller', select: 'username displayName email' },
+    { path: 'dispute.assignedTo', select: 'username displayName' },
+    { path: 'dispute.evidence.submittedBy', select: 'username displayName' },
+    { path: 'dispute.messages.sender', select: 'username displayName' }
+  ]);
+
+  res.json({
+    success: true,
+    data: { order }
+  });
+}));
+
+// Assign dispute to an admin (yourself unless assigneeId is given)
+router.post('/disputes/:orderId/assign', asyncHandler(async (req, res) => {
+  const order = await findDisputedOrder(req.params.orderId);
+  await assignDispute(order, req.user, { assigneeId: req.body.assigneeId });
+
+  res.json({
+    success: true,
+    message: 'Dispute assigned',
+    data: { dispute: order.dispute }
+  });
+}));
+
+// Resolve dispute with an outcome: full_refund, partial_refund, release_to_seller or redo
+router.post('/disputes/:orderId/resolve', asyncHandler(async (req, res) => {
+  const { outcome, refundAmount, resolution } = req.body;
+
+  const order = await findDisputedOrder(req.params.orderId);
+  await resolveDispute(order, req.user, { outcome, refundAmount, resolution });
+
+  res.json({
+    success: true,
+    message: 'Dispute resolved',
+    data: { dispute: order.dispute, status: order.status, payment: order.payment }
+  });
+}));
+
+// Get coupons (platform and seller-issued)
+router.get('/coupons', validatePagination, asyncHandler(async (req, res) => {
+  const { page, limit, skip } = req.pagination;
+  const { issuer, seller, active } = req.query;
+
+  const query = {};
+  if (issuer) query.issuer = issuer;
+  if (seller) query.seller = seller;
+  if (active !== undefined) query.isActive = active === 'true';
+
+  const coupons = await Coupon.find(query)
+    .populate('seller', 'username displayName')
+    .populate('createdBy', 'username displayName')
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: -1 });
+
+  const total = await Coupon.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      coupons,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// Create platform coupon (discount comes out of the platform fee)
+router.post('/coupons', asyncHandler(async (req, res) => {
+  const coupon = await createCoupon(req.user, req.body, { issuer: 'platform' });
+
+  res.status(201).json({
+    success: true,
+    message: 'Coupon created',
+    data: { coupon }
+  });
+}));
+
+// Coupon usage and discount totals by funder
+router.get('/coupons/analytics', asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  const analytics = await getCouponAnalytics({ from, to });
+
+  res.json({
+    success: true,
+    data: analytics
+  });
+}));
+
+// Update any coupon (set isActive: false to deactivate)
+router.put('/coupons/:id', asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    throw new AppError('Coupon not found', 404, 'COUPON_NOT_FOUND');
+  }
+
+  await updateCoupon(coupon, req.body);
+
+  res.json({
+    success: true,
+    message: 'Coupon updated',
+    data: { coupon }
+  });
+}));
+
+// Get fee schedule versions (newest first) and the one currently in effect
+router.get('/fee-schedules', validatePagination, asyncHandler(async (req, res) => {
+  const { page, limit, skip } = req.pagination;
+
+  const [schedules, total, current] = await Promise.all([
+    FeeSchedule.find()
+      .populate('createdBy', 'username displayName')
+      .skip(skip)
+      .limit(limit)
+      .sort({ version: -1 }),
+    FeeSchedule.countDocuments(),
+    FeeSchedule.findEffective().select('_id version')
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      schedules,
+      current,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// Publish a new fee schedule version, effective from a future date
+router.post('/fee-schedules', asyncHandler(async (req, res) => {
+  const schedule = await createFeeSchedule(req.user, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Fee schedule created',
+    data: { schedule }
+  });
+}));
+
+const findFeeSchedule = async (id) => {
+  const schedule = await FeeSchedule.findById(id);
+
+  if (!schedule) {
+    throw new AppError('Fee schedule not found', 404, 'FEE_SCHEDULE_NOT_FOUND');
+  }
+
+  return schedule;
+};
+
+// Get fee schedule with the number of orders priced with it
+router.get('/fee-schedules/:id', asyncHandler(async (req, res) => {
+  const schedule = await findFeeSchedule(req.params.id);
+  const orders = await Order.countDocuments({ 'feeRule.schedule': schedule._id });
+
+  res.json({
+    success: true,
+    data: { schedule, orders }
+  });
+}));
+
+// Update a fee schedule that has not taken effect yet
+router.put('/fee-schedules/:id', asyncHandler(async (req, res) => {
+  const schedule = await findFeeSchedule(req.params.id);
+  await updateFeeSchedule(schedule, req.body);
+
+  res.json({
+    success: true,
+    message: 'Fee schedule updated',
+    data: { schedule }
+  });
+}));
+
+// Delete a fee schedule that has not taken effect yet
+router.delete('/fee-schedules/:id', asyncHandler(async (req, res) => {
+  const schedule = await findFeeSchedule(req.params.id);
+  await deleteFeeSchedule(schedule);
+
+  res.json({
+    success: true,
+    message: 'Fee schedule deleted'
+  });
+}));
+
+// Exchange rates file upload (JSON or CSV)
+const ratesUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024 // 1MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['application/json', 'text/csv', 'text/plain', 'application/vnd.ms-excel'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new AppError('Exchange rates must be a JSON or CSV file', 400, 'INVALID_FILE_TYPE'), false);
+    }
+  }
+});
+
+// Get exchange rates (units per one unit of the base currency)
+router.get('/exchange-rates', asyncHandler(async (req, res) => {
+  const data = await listExchangeRates();
+
+  res.json({
+    success: true,
+    data
+  });
+}));
+
+// Set exchange rates from a { currency: rate } map
+router.put('/exchange-rates', asyncHandler(async (req, res) => {
+  const data = await setExchangeRates(req.user, req.body.rates);
+
+  res.json({
+    success: true,
+    message: 'Exchange rates updated',
+    data
+  });
+}));
+
+// Import exchange rates from an uploaded file
+router.post('/exchange-rates/import', ratesUpload.single('file'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('No file uploaded', 400, 'NO_FILE');
+  }
+
+  const data = await setExchangeRates(req.user, parseExchangeRatesFile(req.file), { source: 'import' });
+
+  res.json({
+    success: true,
+    message: 'Exchange rates imported',
+    data
+  });
+}));
+
+// Get invoices and credit notes (`buyer`, `type`, `from`, `to`)
+router.get('/invoices', validatePagination, asyncHandler(async (req, res) => {
+  const { page, limit, skip } = req.pagination;
+  const { buyer, type, from, to } = req.query;
+
+  const query = {};
+  if (buyer) query['buyer.user'] = buyer;
+  if (type) query.type = type;
+  if (from || to) {
+    query.issuedAt = {};
+    if (from) query.issuedAt.$gte = new Date(from);
+    if (to) query.issuedAt.$lte = new Date(to);
+  }
+
+  const invoices = await Invoice.find(query)
+    .skip(skip)
+    .limit(limit)
+    .sort({ issuedAt: -1 });
+
+  const total = await Invoice.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      invoices,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// Tax collected on paid orders by country and kind (`from`, `to`, `country`)
+router.get('/reports/tax', asyncHandler(async (req, res) => {
+  const { from, to, country } = req.query;
+
+  const report = await getTaxReport({ from, to, country });
+
+  res.json({
+    success: true,
+    data: report
+  });
+}));
+
+// Rebuild the gig search index from the gigs and sellers, and the
+// autocomplete suggestions from it
+router.post('/search-index/rebuild', asyncHandler(async (req, res) => {
+  const index = await GigSearchDocument.rebuild();
+  const suggestions = await SearchSuggestion.rebuild();
+
+  res.json({
+    success: true,
+    message: 'Search index rebuilt',
+    data: { ...index, suggestions }
+  });
+}));
+
 export default router;
@@ -0,0 +1,85 @@
+import express from 'express';
+import { authenticateToken, requireSeller } from '../middleware/auth.js';
+import { validatePagination } from '../middleware/validation.js';
+import { Coupon, Order } from '../models/index.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { createCoupon, updateCoupon } from '../services/couponService.js';
+
+const router = express.Router();
+
+// Seller coupons; platform coupons are managed under /api/admin/coupons
+router.use(authenticateToken, requireSeller);
+
+// Get seller's coupons
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { page, limit, skip } = req.pagination;
+
+  const query = { issuer: 'seller', seller: req.user._id };
+
+  const coupons = await Coupon.find(query)
+    .populate('gigs', 'title')
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: -1 });
+
+  const total = await Coupon.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      coupons,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// Create seller coupon (discount comes out of the seller's earnings)
+router.post('/', asyncHandler(async (req, res) => {
+  const coupon = await createCoupon(req.user, req.body, { issuer: 'seller' });
+
+  res.status(201).json({
+    success: true,
+    message: 'Coupon created',
+    data: { coupon }
+  });
+}));
+
+const findSellerCoupon = async (id, user) => {
+  const coupon = await Coupon.findOne({ _id: id, issuer: 'seller', seller: user._id });
+
+  if (!coupon) {
+    throw new AppError('Coupon not found', 404, 'COUPON_NOT_FOUND');
+  }
+
+  return coupon;
+};
+
+// Get seller coupon with redemption count
+router.get('/:id', asyncHandler(async (req, res) => {
+  const coupon = await findSellerCoupon(req.params.id, req.user);
+  const orders = await Order.countDocuments({ 'coupon.couponId': coupon._id });
+
+  res.json({
+    success: true,
+    data: { coupon, orders }
+  });
+}));
+
+// Update seller coupon (set isActive: false to deactivate)
+router.put('/:id', asyncHandler(async (req, res) => {
+  const coupon = await findSellerCoupon(req.params.id, req.user);
+  await updateCoupon(coupon, req.body);
+
+  res.json({
+    success: true,
+    message: 'Coupon updated',
+    data: { coupon }
+  });
+}));
+
+export default router;
@@ -1,7 +1,10 @@
 import express from 'express';
 import { authenticateToken, requireSeller } from '../middleware/auth.js';
-import { User, Gig, Order, Review } from '../models/index.js';
+import { User, Gig, Order, Review, LedgerEntry } from '../models/index.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { getSellerCurrency, toBaseCurrency } from '../services/currencyService.js';
+import { findSubscriptionsWithCycles } from '../services/subscriptionService.js';
+import { getBaseCurrency } from '../config/currencies.js';
 
 const router = express.Router();
 
@@ -12,16 +15,21 @@ router.use(authenticateToken);
 router.get('/buyer', asyncHandler(async (req, res) => {
   const buyerId = req.user._id;
 
-  const [orders, reviews, stats] = await Promise.all([
+  const [orders, reviews, subscriptions, stats] = await Promise.all([
     Order.findByBuyer(buyerId).limit(5),
     Review.find({ buyer: buyerId }).populate('gig', 'title').limit(5),
+    findSubscriptionsWithCycles({ buyer: buyerId, status: { $ne: 'cancelled' } }),
     Order.aggregate([
       { $match: { buyer: buyerId } },
       {
         $group: {
           _id: null,
           totalOrders: { $sum: 1 },
-          totalSpent: { $sum: '$amount.total' },
+          // Orders can be in different currencies, so spend is in the base
+          // currency; refunded amounts are not spent
+          totalSpent: {
+            $sum: toBaseCurrency({ $subtract: ['$amount.total', { $ifNull: ['$payment.refundAmount', 0] }] })
+          },
           activeOrders: {
             $sum: {
               $cond: [
@@ -41,13 +49,17 @@ router.get('/buyer', asyncHandler(async (req, res) => {
     totalSpent: 0,
     activeOrders: 0
   };
+  dashboardStats.totalSpent = Math.round(dashboardStats.totalSpent * 100) / 100;
+  dashboardStats.currency = getBaseCurrency();
+  dashboardStats.activeSubscriptions = subscriptions.filter(s => s.status === 'active').length;
 
   res.json({
     success: true,
     data: {
       stats: dashboardStats,
       recentOrders: orders,
-      recentReviews: reviews
+      recentReviews: reviews,
+      subscriptions
     }
   });
 }));
@@ -56,7 +68,7 @@ router.get('/buyer', asyncHandler(async (req, res) => {
 router.get('/seller', requireSeller, asyncHandler(async (req, res) => {
   const sellerId = req.user._id;
 
-  const [gigs, orders, reviews, earnings] = await Promise.all([
+  const [gigs, orders, reviews, earnings, tips] = await Promise.all([
     Gig.find({ seller: sellerId }).limit(5),
     Order.findBySeller(sellerId).limit(5),
     Review.findForSeller(sellerId, { limit: 5 }),
@@ -65,10 +77,16 @@ router.get('/seller', requireSeller, asyncHandler(async (req, res) => {
       {
         $group: {
           _id: null,
-          totalEarnings: { $sum: '$sellerEarnings' },
+          totalEarnings: { $sum: { $ifNull: ['$sellerEarnings', 0] } },
           totalOrders: { $sum: 1 }
         }
       }
+    ]),
+    // Tips are paid to the seller in full and kept whatever happens to the
+    // order later (e.g. a refund), so they come from the ledger
+    LedgerEntry.aggregate([
+      { $match: { user: sellerId, account: 'seller', type: 'tip', direction: 'credit' } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
     ])
   ]);
 
@@ -76,8 +94,13 @@ router.get('/seller', requireSeller, asyncHandler(async (req, res) => {
     totalEarnings: 0,
     totalOrders: 0
   };
+  earningsStats.totalTips = Math.round((tips[0]?.total || 0) * 100) / 100;
+  earningsStats.totalEarnings = Math.round((earningsStats.totalEarnings + earningsStats.totalTips) * 100) / 100;
+
+  // A seller's orders are all in their wallet currency
+  earningsStats.currency = await getSellerCurrency(sellerId);
 
-  const [activeOrders, gigStats] = await Promise.all([
+  const [activeOrders, gigStats, extensionStats, subscriptions] = await Promise.all([
     Order.countDocuments({
       seller: sellerId,
       status: { $in: ['accepted', 'in_progress', 'delivered'] }
@@ -95,7 +118,13 @@ router.get('/seller', requireSeller, asyncHandler(async (req, res) => {
           totalOrders: { $sum: '$stats.orders' }
         }
       }
-    ])
+    ]),
+    Order.aggregate([
+      { $match: { seller: sellerId, 'extensions.0': { $exists: true } } },
+      { $unwind: '$extensions' },
+      { $group: { _id: '$extensions.status', count: { $sum: 1 } } }
+    ]),
+    findSubscriptionsWithCycles({ seller: sellerId, status: { $ne: 'cancelled' } })
   ]);
 
   const gigStatsData = gigStats[0] || {
@@ -105,17 +134,28 @@ router.get('/seller', requireSeller, asyncHandler(async (req, res) => {
     totalOrders: 0
   };
 
+  const extensionCounts = Object.fromEntries(extensionStats.map(e => [e._id, e.count]));
+  const extensions = {
+    requested: extensionStats.reduce((sum, e) => sum + e.count, 0),
+    approved: extensionCounts.approved || 0,
+    declined: extensionCounts.declined || 0,
+    pending: extensionCounts.pending || 0
+  };
+
   res.json({
     success: true,
     data: {
       stats: {
         ...earningsStats,
         ...gigStatsData,
-        activeOrders
+        activeOrders,
+        activeSubscriptions: subscriptions.filter(s => s.status === 'active').length,
+        extensions
       },
       recentGigs: gigs,
       recentOrders: orders,
-      recentReviews: reviews
+      recentReviews: reviews,
+      subscriptions
     }
   });
 }));
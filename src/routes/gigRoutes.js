@@ -1,36 +1,102 @@
 import express from 'express';
 import { authenticateToken, requireSeller, optionalAuth } from '../middleware/auth.js';
 import { validatePagination, validateSort } from '../middleware/validation.js';
-import { Gig } from '../models/index.js';
+import { Gig, GigRevision } from '../models/index.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { assertGigCurrency, getDisplayCurrency, getSellerCurrency, withDisplayPrices } from '../services/currencyService.js';
+import { parseSearchFilters, searchGigs, suggestSearches, recordSearchTerm } from '../services/gigSearchService.js';
+import { createGig, updateGig, submitGigForReview } from '../services/gigModerationService.js';
+import { getGigRevision, diffGigRevisions, getWorkingContent } from '../services/gigRevisionService.js';
+import { diffGigContent } from '../models/GigRevision.js';
 
 const router = express.Router();
 
-// Get all gigs (public)
-router.get('/', optionalAuth, validatePagination, validateSort(['createdAt', 'rating', 'price', 'orders']), asyncHandler(async (req, res) => {
+// Sort names to search index fields
+const GIG_SORT_FIELDS = {
+  price: 'price' // Cheapest active package, in the search currency
+};
+
+// Get all gigs (public). Filters: category, search, rating, minPrice,
+// maxPrice (in `currency`), maxDeliveryDays, sellerCountry, language,
+// minFollowers, maxFollowers, verifiedSeller; facet counts are returned
+// alongside.
+router.get('/', optionalAuth, validatePagination, validateSort(['createdAt', 'rating', 'price', 'orders'], GIG_SORT_FIELDS), asyncHandler(async (req, res) => {
   const { page, limit, skip } = req.pagination;
-  const { category, search, minPrice, maxPrice, rating } = req.query;
-
-  const query = { status: 'active' };
-  
-  if (category) query.category = category;
-  if (rating) query['stats.rating'] = { $gte: parseFloat(rating) };
-  if (search) {
-    query.$text = { $search: search };
-  }
+  const currency = getDisplayCurrency(req.user, req.query.currency);
+
+  const { gigs, total, facets } = await searchGigs({
+    q: req.query.search,
+    filters: parseSearchFilters(req.query),
+    sort: req.sort,
+    skip,
+    limit,
+    currency
+  });
 
-  const gigs = await Gig.find(query)
+  res.json({
+    success: true,
+    data: {
+      gigs: await withDisplayPrices(gigs, currency),
+      facets,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// Get featured gigs
+router.get('/featured', asyncHandler(async (req, res) => {
+  const gigs = await Gig.findFeatured()
     .populate('seller', 'username displayName avatar sellerProfile.rating')
-    .skip(skip)
-    .limit(limit)
-    .sort(req.sort);
+    .limit(10);
 
-  const total = await Gig.countDocuments(query);
+  res.json({
+    success: true,
+    data: { gigs }
+  });
+}));
+
+// Autocomplete suggestions for the search box (`q`, `limit` up to 20)
+router.get('/suggest', asyncHandler(async (req, res) => {
+  const limit = Math.min(20, Math.max(1, parseInt(req.query.limit) || 10));
+  const suggestions = await suggestSearches(req.query.q, { limit });
+
+  res.json({
+    success: true,
+    data: { suggestions }
+  });
+}));
+
+// Search gigs ranked by relevance (same filters as listing gigs). Admins can
+// pass explain=true to see each result's ranking score.
+router.get('/search', optionalAuth, validatePagination, asyncHandler(async (req, res) => {
+  const { page, limit, skip } = req.pagination;
+  const currency = getDisplayCurrency(req.user, req.query.currency);
+
+  const { gigs, total, facets, explain } = await searchGigs({
+    q: req.query.q,
+    filters: parseSearchFilters(req.query),
+    skip,
+    limit,
+    currency,
+    explain: req.query.explain === 'true' && req.user?.role === 'admin'
+  });
+
+  // Count each search once, not per page
+  if (page === 1) {
+    await recordSearchTerm(req.query.q, total);
+  }
 
   res.json({
     success: true,
     data: {
-      gigs,
+      gigs: await withDisplayPrices(gigs, currency),
+      facets,
+      explain,
       pagination: {
         page,
         limit,
@@ -41,12 +107,31 @@ router.get('/', optionalAuth, validatePagination, validateSort(['createdAt', 'ra
   });
 }));
 
+// Gigs that have not been approved are only visible to their seller and admins
+const canViewGig = (gig, user) => ['active', 'paused'].includes(gig.status) ||
+  (user && (gig.seller._id.equals(user._id) || user.role === 'admin'));
+
+// Find a gig its seller or an admin is working on
+const findGigForEditor = async (gigId, user) => {
+  const gig = await Gig.findById(gigId);
+
+  if (!gig) {
+    throw new AppError('Gig not found', 404, 'GIG_NOT_FOUND');
+  }
+
+  if (!gig.seller.equals(user._id) && user.role !== 'admin') {
+    throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+  }
+
+  return gig;
+};
+
 // Get gig by ID
 router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
   const gig = await Gig.findById(req.params.id)
     .populate('seller', 'username displayName avatar sellerProfile');
 
-  if (!gig) {
+  if (!gig || !canViewGig(gig, req.user)) {
     throw new AppError('Gig not found', 404, 'GIG_NOT_FOUND');
   }
 
@@ -57,28 +142,29 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: { gig }
+    data: { gig: await withDisplayPrices(gig, getDisplayCurrency(req.user, req.query.currency)) }
   });
 }));
 
-// Create gig (seller only)
+// Create gig (seller only) as a draft, or submitted for review with
+// status 'pending'
 router.post('/', authenticateToken, requireSeller, asyncHandler(async (req, res) => {
-  const gigData = {
+  const gig = await createGig(req.user, {
     ...req.body,
-    seller: req.user._id
-  };
-
-  const gig = await Gig.create(gigData);
+    // Defaults to the currency of the seller's other gigs and earnings
+    currency: await assertGigCurrency(req.user._id, req.body.currency || await getSellerCurrency(req.user._id))
+  });
   await gig.populate('seller', 'username displayName avatar');
 
   res.status(201).json({
     success: true,
-    message: 'Gig created successfully',
+    message: gig.status === 'pending' ? 'Gig created and submitted for review' : 'Gig created successfully',
     data: { gig }
   });
 }));
 
-// Update gig
+// Update gig. Edits to key fields of an approved gig wait for review while
+// the gig stays live as approved.
 router.put('/:id', authenticateToken, requireSeller, asyncHandler(async (req, res) => {
   const gig = await Gig.findById(req.params.id);
 
@@ -91,59 +177,63 @@ router.put('/:id', authenticateToken, requireSeller, asyncHandler(async (req, re
     throw new AppError('Access denied', 403, 'ACCESS_DENIED');
   }
 
-  const updatedGig = await Gig.findByIdAndUpdate(
-    req.params.id,
-    req.body,
-    { new: true, runValidators: true }
-  ).populate('seller', 'username displayName avatar');
+  if (req.body.currency) {
+    req.body.currency = await assertGigCurrency(gig.seller, req.body.currency, { gigId: gig._id });
+  }
+
+  const { resubmitted } = await updateGig(gig, req.user, req.body);
+  await gig.populate('seller', 'username displayName avatar');
 
   res.json({
     success: true,
-    message: 'Gig updated successfully',
-    data: { gig: updatedGig }
+    message: resubmitted ? 'Changes sent for review; the gig stays live as approved until then' : 'Gig updated successfully',
+    data: { gig }
   });
 }));
 
-// Delete gig
-router.delete('/:id', authenticateToken, requireSeller, asyncHandler(async (req, res) => {
+// Submit a draft, rejected or changes-requested gig for review
+router.post('/:id/submit', authenticateToken, requireSeller, asyncHandler(async (req, res) => {
   const gig = await Gig.findById(req.params.id);
 
   if (!gig) {
     throw new AppError('Gig not found', 404, 'GIG_NOT_FOUND');
   }
 
-  // Check ownership
-  if (!gig.seller.equals(req.user._id) && req.user.role !== 'admin') {
+  if (!gig.seller.equals(req.user._id)) {
     throw new AppError('Access denied', 403, 'ACCESS_DENIED');
   }
 
-  await Gig.findByIdAndDelete(req.params.id);
+  await submitGigForReview(gig, req.user);
 
   res.json({
     success: true,
-    message: 'Gig deleted successfully'
+    message: 'Gig submitted for review',
+    data: { gig }
   });
 }));
 
-// Get seller's gigs
-router.get('/seller/:sellerId', validatePagination, asyncHandler(async (req, res) => {
+// Get gig revision history, newest first (seller or admin)
+router.get('/:id/revisions', authenticateToken, validatePagination, asyncHandler(async (req, res) => {
   const { page, limit, skip } = req.pagination;
-  const { status } = req.query;
+  const gig = await findGigForEditor(req.params.id, req.user);
 
-  const query = { seller: req.params.sellerId };
-  if (status) query.status = status;
-
-  const gigs = await Gig.find(query)
+  const query = { gig: gig._id };
+  const revisions = await GigRevision.find(query)
+    .select('-content')
+    .populate('editor', 'username displayName')
     .skip(skip)
     .limit(limit)
-    .sort({ createdAt: -1 });
+    .sort({ version: -1 });
 
-  const total = await Gig.countDocuments(query);
+  const total = await GigRevision.countDocuments(query);
 
   res.json({
     success: true,
     data: {
-      gigs,
+      version: gig.version,
+      liveVersion: gig.liveVersion,
+      pendingEdit: gig.pendingEdit,
+      revisions,
       pagination: {
         page,
         limit,
@@ -154,34 +244,99 @@ router.get('/seller/:sellerId', validatePagination, asyncHandler(async (req, res
   });
 }));
 
-// Get featured gigs
-router.get('/featured', asyncHandler(async (req, res) => {
-  const gigs = await Gig.findFeatured()
-    .populate('seller', 'username displayName avatar sellerProfile.rating')
-    .limit(10);
+// Get a revision's content and its changes from the previous version, or
+// from version `compare` (seller or admin)
+router.get('/:id/revisions/:version', authenticateToken, asyncHandler(async (req, res) => {
+  const gig = await findGigForEditor(req.params.id, req.user);
+  const revision = await getGigRevision(gig, req.params.version);
+  const compare = req.query.compare ? parseInt(req.query.compare) : undefined;
 
   res.json({
     success: true,
-    data: { gigs }
+    data: {
+      revision,
+      diff: await diffGigRevisions(revision, compare)
+    }
   });
 }));
 
-// Search gigs
-router.get('/search', optionalAuth, validatePagination, asyncHandler(async (req, res) => {
-  const { q, category, minPrice, maxPrice, rating } = req.query;
+// Restore a previous version as a new revision (seller or admin). Restoring
+// a live gig's content as its seller sends it for review, like an edit.
+router.post('/:id/revisions/:version/restore', authenticateToken, requireSeller, asyncHandler(async (req, res) => {
+  const gig = await findGigForEditor(req.params.id, req.user);
+  const revision = await getGigRevision(gig, req.params.version);
+
+  if (revision.content.currency && revision.content.currency !== gig.currency) {
+    await assertGigCurrency(gig.seller, revision.content.currency, { gigId: gig._id });
+  }
+
+  if (!diffGigContent(await getWorkingContent(gig), revision.content).length) {
+    throw new AppError(`The gig already matches version ${revision.version}`, 409, 'REVISION_ALREADY_CURRENT');
+  }
+
+  const { resubmitted } = await updateGig(gig, req.user, revision.content, { restoredFrom: revision.version });
+
+  res.json({
+    success: true,
+    message: resubmitted
+      ? `Version ${revision.version} restored and sent for review`
+      : `Version ${revision.version} restored`,
+    data: { gig }
+  });
+}));
+
+// Delete gig
+router.delete('/:id', authenticateToken, requireSeller, asyncHandler(async (req, res) => {
+  const gig = await Gig.findById(req.params.id);
+
+  if (!gig) {
+    throw new AppError('Gig not found', 404, 'GIG_NOT_FOUND');
+  }
+
+  // Check ownership
+  if (!gig.seller.equals(req.user._id) && req.user.role !== 'admin') {
+    throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+  }
+
+  await Gig.findByIdAndDelete(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Gig deleted successfully'
+  });
+}));
+
+// Get seller's gigs; others only see approved ones
+router.get('/seller/:sellerId', optionalAuth, validatePagination, asyncHandler(async (req, res) => {
   const { page, limit, skip } = req.pagination;
+  const { status } = req.query;
+
+  const query = { seller: req.params.sellerId };
+  if (status) query.status = status;
 
-  const filters = {};
-  if (category) filters.category = category;
-  if (rating) filters.rating = parseFloat(rating);
+  const isOwnerOrAdmin = req.user && (req.user._id.equals(req.params.sellerId) || req.user.role === 'admin');
+  if (!isOwnerOrAdmin) {
+    query.status = status && ['active', 'paused'].includes(status) ? status : { $in: ['active', 'paused'] };
+  }
 
-  const gigs = await Gig.searchGigs(q, filters)
+  const gigs = await Gig.find(query)
     .skip(skip)
-    .limit(limit);
+    .limit(limit)
+    .sort({ createdAt: -1 });
+
+  const total = await Gig.countDocuments(query);
 
   res.json({
     success: true,
-    data: { gigs }
+    data: {
+      gigs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
   });
 }));
 
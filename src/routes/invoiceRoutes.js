@@ -0,0 +1,47 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validatePagination } from '../middleware/validation.js';
+import { Invoice } from '../models/index.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Get buyer's invoices and credit notes (download them from /api/orders/:id/invoice)
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { page, limit, skip } = req.pagination;
+  const { type, from, to } = req.query;
+
+  const query = { 'buyer.user': req.user._id };
+  if (type) query.type = type;
+  if (from || to) {
+    query.issuedAt = {};
+    if (from) query.issuedAt.$gte = new Date(from);
+    if (to) query.issuedAt.$lte = new Date(to);
+  }
+
+  const invoices = await Invoice.find(query)
+    .select('-issuer -seller.email')
+    .skip(skip)
+    .limit(limit)
+    .sort({ issuedAt: -1 });
+
+  const total = await Invoice.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      invoices,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+export default router;
@@ -0,0 +1,153 @@
+import express from 'express';
+import { authenticateToken, requireSeller } from '../middleware/auth.js';
+import { validatePagination } from '../middleware/validation.js';
+import { Offer } from '../models/index.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  findOfferForParty,
+  createOffer,
+  counterOffer,
+  acceptOffer,
+  declineOffer,
+  withdrawOffer
+} from '../services/offerService.js';
+import { getDisplayCurrency } from '../services/currencyService.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Get user's offers (received as buyer, sent as seller, or both)
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { page, limit, skip } = req.pagination;
+  const { status, type } = req.query;
+
+  let query = {};
+
+  if (type === 'buying') {
+    query.buyer = req.user._id;
+  } else if (type === 'selling') {
+    query.seller = req.user._id;
+  } else {
+    query.$or = [
+      { buyer: req.user._id },
+      { seller: req.user._id }
+    ];
+  }
+
+  if (status) query.status = status;
+
+  const offers = await Offer.find(query)
+    .populate('buyer', 'username displayName avatar')
+    .populate('seller', 'username displayName avatar')
+    .populate('gig', 'title images')
+    .select('-history')
+    .skip(skip)
+    .limit(limit)
+    .sort({ updatedAt: -1 });
+
+  const total = await Offer.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      offers,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// Send custom offer (seller)
+router.post('/', requireSeller, asyncHandler(async (req, res) => {
+  const offer = await createOffer(req.user, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Offer sent',
+    data: { offer }
+  });
+}));
+
+// Get offer with negotiation history
+router.get('/:id', asyncHandler(async (req, res) => {
+  const offer = await findOfferForParty(req.params.id, req.user);
+
+  await offer.populate([
+    { path: 'buyer', select: 'username displayName avatar' },
+    { path: 'seller', select: 'username displayName avatar' },
+    { path: 'gig', select: 'title images' },
+    { path: 'history.by', select: 'username displayName' }
+  ]);
+
+  res.json({
+    success: true,
+    data: { offer }
+  });
+}));
+
+// Counter-offer (buyer) or revise terms (seller)
+router.post('/:id/counter', asyncHandler(async (req, res) => {
+  const offer = await findOfferForParty(req.params.id, req.user);
+  await counterOffer(offer, req.user, req.body);
+
+  res.json({
+    success: true,
+    message: offer.status === 'countered' ? 'Counter-offer sent' : 'Offer updated',
+    data: { offer }
+  });
+}));
+
+// Accept offer: the buyer pays and an order is created; the seller accepts a counter-offer
+router.post('/:id/accept', asyncHandler(async (req, res) => {
+  const { paymentSource, requirements, currency } = req.body;
+
+  const pending = await findOfferForParty(req.params.id, req.user);
+  const { offer, order } = await acceptOffer(pending, req.user, {
+    paymentSource,
+    displayCurrency: getDisplayCurrency(req.user, currency),
+    requirements,
+    metadata: {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      source: 'web'
+    }
+  });
+
+  res.json({
+    success: true,
+    message: order ? 'Offer accepted, order created' : 'Counter-offer accepted',
+    data: { offer, order }
+  });
+}));
+
+// Decline offer (or counter-offer)
+router.post('/:id/decline', asyncHandler(async (req, res) => {
+  const offer = await findOfferForParty(req.params.id, req.user);
+  await declineOffer(offer, req.user, { message: req.body.message });
+
+  res.json({
+    success: true,
+    message: 'Offer declined',
+    data: { offer }
+  });
+}));
+
+// Withdraw offer (seller)
+router.post('/:id/withdraw', asyncHandler(async (req, res) => {
+  const offer = await findOfferForParty(req.params.id, req.user);
+  await withdrawOffer(offer, req.user, { message: req.body.message });
+
+  res.json({
+    success: true,
+    message: 'Offer withdrawn',
+    data: { offer }
+  });
+}));
+
+export default router;
@@ -1,15 +1,104 @@
 import express from 'express';
+import multer from 'multer';
 import { authenticateToken } from '../middleware/auth.js';
-import { validatePagination } from '../middleware/validation.js';
-import { Order } from '../models/index.js';
+import { validatePagination, validateObjectId, validateUrl } from '../middleware/validation.js';
+import { Order, Invoice } from '../models/index.js';
+import { uploadToImageKit } from '../config/imagekit.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import {
+  quoteOrder,
+  createOrder,
+  changeOrderStatus,
+  assertCanDeliver,
+  deliverOrder,
+  requestRevision,
+  respondToRevision,
+  acceptDelivery,
+  tipOrder
+} from '../services/orderService.js';
+import {
+  setMilestonePlan,
+  startMilestone,
+  deliverMilestone,
+  approveMilestone,
+  requestMilestoneChanges
+} from '../services/milestoneService.js';
+import { getDisplayCurrency } from '../services/currencyService.js';
+import {
+  requestCancellation,
+  acceptCancellation,
+  declineCancellation,
+  withdrawCancellation
+} from '../services/cancellationService.js';
+import {
+  assertCanOpenDispute,
+  openDispute,
+  addDisputeEvidence,
+  addDisputeMessage
+} from '../services/disputeService.js';
+import { requestExtension, respondToExtension } from '../services/extensionService.js';
+import { renderInvoiceHtml, renderInvoicePdf } from '../services/invoiceService.js';
 
 const router = express.Router();
 
+// Configure multer for order attachments
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'video/mp4', 'application/pdf'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new AppError('Invalid file type', 400, 'INVALID_FILE_TYPE'), false);
+    }
+  }
+});
+
+// Load an order the user takes part in; admins can access every order
+const findOrderForParticipant = async (orderId, user, select) => {
+  const query = Order.findById(orderId);
+  if (select) query.select(select);
+  const order = await query;
+
+  if (!order) {
+    throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+  }
+
+  if (!order.buyer.equals(user._id) && !order.seller.equals(user._id) && user.role !== 'admin') {
+    throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+  }
+
+  return order;
+};
+
+// Upload multer files to ImageKit in the order's folder
+const uploadOrderFiles = async (order, files = [], userId) => {
+  const results = await Promise.all(files.map(file => {
+    const fileName = `${userId}-${Date.now()}-${file.originalname}`;
+    return uploadToImageKit(file, fileName, `orders/${order.orderId}`);
+  }));
+
+  const failed = results.find(r => !r.success);
+  if (failed) {
+    throw new AppError(failed.error, 500, 'UPLOAD_FAILED');
+  }
+
+  return results.map((r, i) => ({
+    url: r.data.url,
+    fileId: r.data.fileId,
+    name: files[i].originalname,
+    size: r.data.size,
+    type: files[i].mimetype
+  }));
+};
+
 // Get user's orders
 router.get('/', authenticateToken, validatePagination, asyncHandler(async (req, res) => {
   const { page, limit, skip } = req.pagination;
-  const { status, type } = req.query;
+  const { status, type, subscription } = req.query;
 
   let query = {};
   
@@ -26,6 +115,7 @@ router.get('/', authenticateToken, validatePagination, asyncHandler(async (req,
   }
 
   if (status) query.status = status;
+  if (subscription) query.subscription = subscription;
 
   const orders = await Order.find(query)
     .populate('buyer', 'username displayName avatar')
@@ -51,15 +141,61 @@ router.get('/', authenticateToken, validatePagination, asyncHandler(async (req,
   });
 }));
 
+// Price an order before paying (package, extras and coupon), in the gig's
+// currency and the buyer's display currency
+router.post('/quote', authenticateToken, asyncHandler(async (req, res) => {
+  const { gigId, package: packageName, extras, couponCode, currency } = req.body;
+
+  const quote = await quoteOrder({
+    buyer: req.user,
+    gigId,
+    packageName,
+    extras,
+    couponCode,
+    displayCurrency: getDisplayCurrency(req.user, currency)
+  });
+
+  res.json({
+    success: true,
+    data: {
+      currency: quote.gig.currency,
+      amount: quote.pricing.amount,
+      display: {
+        currency: quote.exchange.displayCurrency,
+        rate: quote.exchange.displayRate,
+        amount: quote.displayAmount
+      },
+      extras: quote.extras,
+      coupon: quote.coupon,
+      tax: quote.tax
+    }
+  });
+}));
+
 // Create order
 router.post('/', authenticateToken, asyncHandler(async (req, res) => {
-  const orderData = {
-    ...req.body,
-    buyer: req.user._id
-  };
+  const { gigId, package: packageName, extras, couponCode, currency, requirements, paymentSource } = req.body;
 
-  const order = await Order.create(orderData);
-  await order.populate(['buyer', 'seller', 'gig']);
+  const order = await createOrder({
+    buyer: req.user,
+    gigId,
+    packageName,
+    extras,
+    couponCode,
+    displayCurrency: getDisplayCurrency(req.user, currency),
+    requirements,
+    paymentSource,
+    metadata: {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      source: 'web'
+    }
+  });
+  await order.populate([
+    { path: 'buyer', select: 'username displayName avatar' },
+    { path: 'seller', select: 'username displayName avatar' },
+    { path: 'gig', select: 'title images' }
+  ]);
 
   res.status(201).json({
     success: true,
@@ -86,13 +222,497 @@ router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
+    data: {
+      order,
+      unread: order.getUnreadCounts()
+    }
+  });
+}));
+
+// Get order messages (newest page first, older pages via the `before` cursor)
+router.get('/:id/messages', authenticateToken, asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const { before } = req.query;
+
+  const order = await findOrderForParticipant(req.params.id, req.user, 'orderId buyer seller messages');
+
+  let end = order.messages.length;
+  if (before) {
+    const index = validateObjectId(before) ? order.messages.findIndex(m => m._id.equals(before)) : -1;
+    if (index === -1) {
+      throw new AppError('Invalid message cursor', 400, 'INVALID_CURSOR');
+    }
+    end = index;
+  }
+  const start = Math.max(0, end - limit);
+
+  const unread = order.getUnreadCounts();
+  await order.populate('messages.sender', 'username displayName avatar');
+  const messages = order.messages.slice(start, end);
+
+  res.json({
+    success: true,
+    data: {
+      messages,
+      unread,
+      pagination: {
+        limit,
+        total: order.messages.length,
+        nextCursor: start > 0 ? messages[0]._id : null
+      }
+    }
+  });
+}));
+
+// Send order message with optional attachments
+router.post('/:id/messages', authenticateToken, attachmentUpload.array('attachments', 5), asyncHandler(async (req, res) => {
+  const content = (req.body.content || '').trim();
+
+  const order = await findOrderForParticipant(req.params.id, req.user);
+
+  const attachments = await uploadOrderFiles(order, req.files, req.user._id);
+
+  if (!content && attachments.length === 0) {
+    throw new AppError('Message content or an attachment is required', 400, 'MISSING_FIELDS');
+  }
+
+  await order.addMessage(req.user._id, content, attachments);
+  await order.populate('messages.sender', 'username displayName avatar');
+
+  res.status(201).json({
+    success: true,
+    message: 'Message sent',
+    data: {
+      message: order.messages[order.messages.length - 1],
+      unread: order.getUnreadCounts()
+    }
+  });
+}));
+
+// Mark order messages as read (all messages, or the given messageIds)
+router.post('/:id/messages/read', authenticateToken, asyncHandler(async (req, res) => {
+  const { messageIds } = req.body;
+
+  if (messageIds && (!Array.isArray(messageIds) || !messageIds.every(validateObjectId))) {
+    throw new AppError('messageIds must be an array of message IDs', 400, 'INVALID_ID');
+  }
+
+  const order = await findOrderForParticipant(req.params.id, req.user, 'orderId buyer seller messages');
+  await order.markAllMessagesAsRead(req.user._id, messageIds);
+
+  res.json({
+    success: true,
+    message: 'Messages marked as read',
+    data: { unread: order.getUnreadCounts() }
+  });
+}));
+
+// Get unread message counts for both participants
+router.get('/:id/messages/unread', authenticateToken, asyncHandler(async (req, res) => {
+  const order = await findOrderForParticipant(req.params.id, req.user, 'buyer seller messages');
+
+  res.json({
+    success: true,
+    data: { unread: order.getUnreadCounts() }
+  });
+}));
+
+// Links may arrive as an array (JSON) or a JSON/comma-separated string (multipart)
+const parseLinks = (links) => {
+  if (!links) return [];
+  if (Array.isArray(links)) return links;
+  try {
+    const parsed = JSON.parse(links);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return String(links).split(',').map(l => l.trim()).filter(Boolean);
+  }
+};
+
+// Validate links from a delivery request
+const getDeliveryLinks = (req) => {
+  const links = parseLinks(req.body.links);
+  const invalidLink = links.find(link => !validateUrl(link));
+  if (invalidLink) {
+    throw new AppError(`Invalid link: ${invalidLink}`, 400, 'INVALID_URL');
+  }
+  return links;
+};
+
+// Turn a delivery request (message, uploaded files, links) into deliverables
+const buildDeliverables = async (req, order) => {
+  const message = (req.body.message || '').trim();
+  const links = getDeliveryLinks(req);
+  const files = await uploadOrderFiles(order, req.files, req.user._id);
+
+  const deliverables = [];
+  if (message) deliverables.push({ type: 'text', content: message });
+  if (files.length) deliverables.push({ type: 'file', content: message, files });
+  links.forEach(link => deliverables.push({ type: 'link', content: link }));
+  return deliverables;
+};
+
+// Deliver order (seller)
+router.post('/:id/deliver', authenticateToken, attachmentUpload.array('files', 10), asyncHandler(async (req, res) => {
+  getDeliveryLinks(req);
+
+  const order = await findOrderForParticipant(req.params.id, req.user);
+
+  // Check before uploading so rejected deliveries don't leave orphaned files
+  assertCanDeliver(order, req.user);
+
+  const deliverables = await buildDeliverables(req, order);
+  await deliverOrder(order, req.user, deliverables);
+
+  res.json({
+    success: true,
+    message: 'Order delivered',
     data: { order }
   });
 }));
 
-// Update order status
+// Request revision (buyer)
+router.post('/:id/revisions', authenticateToken, asyncHandler(async (req, res) => {
+  const { reason, details } = req.body;
+
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  await requestRevision(order, req.user, { reason, details });
+
+  res.status(201).json({
+    success: true,
+    message: 'Revision requested',
+    data: {
+      order,
+      revisionsRemaining: Math.max(0, (order.packageDetails.revisions || 0) - order.revisionsUsed)
+    }
+  });
+}));
+
+// Respond to revision request (seller)
+router.post('/:id/revisions/:revisionId/respond', authenticateToken, asyncHandler(async (req, res) => {
+  const { action, response } = req.body;
+
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  await respondToRevision(order, req.user, req.params.revisionId, { action, response });
+
+  res.json({
+    success: true,
+    message: action === 'accept' ? 'Revision accepted' : 'Revision declined',
+    data: { order }
+  });
+}));
+
+// Accept delivery and complete order (buyer)
+router.post('/:id/accept-delivery', authenticateToken, asyncHandler(async (req, res) => {
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  await acceptDelivery(order, req.user);
+
+  res.json({
+    success: true,
+    message: 'Delivery accepted, order completed',
+    data: { order }
+  });
+}));
+
+// Get the order's invoice and credit notes
+router.get('/:id/invoices', authenticateToken, asyncHandler(async (req, res) => {
+  const order = await findOrderForParticipant(req.params.id, req.user, 'buyer seller');
+
+  const invoices = await Invoice.find({ order: order._id })
+    .select('invoiceNumber type currency total issuedAt')
+    .sort({ issuedAt: 1 });
+
+  res.json({
+    success: true,
+    data: { invoices }
+  });
+}));
+
+// Download the order invoice, or a credit note by `number`, as PDF (default) or HTML
+router.get('/:id/invoice', authenticateToken, asyncHandler(async (req, res) => {
+  const { format = 'pdf', number } = req.query;
+
+  if (!['pdf', 'html'].includes(format)) {
+    throw new AppError('Format must be pdf or html', 400, 'INVALID_FORMAT');
+  }
+
+  const order = await findOrderForParticipant(req.params.id, req.user, 'buyer seller');
+  const invoice = await Invoice.findOne(number
+    ? { order: order._id, invoiceNumber: number }
+    : { order: order._id, type: 'invoice' });
+
+  if (!invoice) {
+    throw new AppError('Invoice not found', 404, 'INVOICE_NOT_FOUND');
+  }
+
+  if (format === 'html') {
+    res.type('html').send(renderInvoiceHtml(invoice));
+    return;
+  }
+
+  const pdf = await renderInvoicePdf(invoice);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${invoice.invoiceNumber}.pdf"`
+  });
+  res.send(pdf);
+}));
+
+// Tip the seller on a completed order (buyer)
+router.post('/:id/tip', authenticateToken, asyncHandler(async (req, res) => {
+  const { amount, message, paymentSource } = req.body;
+
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  const tip = await tipOrder(order, req.user, { amount, message, paymentSource });
+
+  res.status(201).json({
+    success: true,
+    message: 'Tip sent',
+    data: { tip }
+  });
+}));
+
+// Request deadline extension (seller)
+router.post('/:id/extensions', authenticateToken, asyncHandler(async (req, res) => {
+  const { days, reason } = req.body;
+
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  const extension = await requestExtension(order, req.user, { days, reason });
+
+  res.status(201).json({
+    success: true,
+    message: 'Extension requested',
+    data: { extension }
+  });
+}));
+
+// Approve or decline deadline extension (buyer)
+router.post('/:id/extensions/:extensionId/respond', authenticateToken, asyncHandler(async (req, res) => {
+  const { action, response } = req.body;
+
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  const extension = await respondToExtension(order, req.user, req.params.extensionId, { action, response });
+
+  res.json({
+    success: true,
+    message: action === 'approve' ? 'Extension approved' : 'Extension declined',
+    data: { extension, dueDate: order.dates.dueDate }
+  });
+}));
+
+// Set milestone plan (seller, before work starts)
+router.put('/:id/milestones', authenticateToken, asyncHandler(async (req, res) => {
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  await setMilestonePlan(order, req.user, req.body.milestones);
+
+  res.json({
+    success: true,
+    message: 'Milestones saved',
+    data: { milestones: order.milestones, progress: order.progress }
+  });
+}));
+
+// Start milestone (seller)
+router.post('/:id/milestones/:milestoneId/start', authenticateToken, asyncHandler(async (req, res) => {
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  await startMilestone(order, req.user, req.params.milestoneId);
+
+  res.json({
+    success: true,
+    message: 'Milestone started',
+    data: { milestones: order.milestones, progress: order.progress }
+  });
+}));
+
+// Deliver milestone (seller)
+router.post('/:id/milestones/:milestoneId/deliver', authenticateToken, attachmentUpload.array('files', 10), asyncHandler(async (req, res) => {
+  getDeliveryLinks(req);
+
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  const deliverables = await buildDeliverables(req, order);
+  await deliverMilestone(order, req.user, req.params.milestoneId, deliverables);
+
+  res.json({
+    success: true,
+    message: 'Milestone delivered',
+    data: { milestones: order.milestones, progress: order.progress }
+  });
+}));
+
+// Approve milestone and release its payment (buyer)
+router.post('/:id/milestones/:milestoneId/approve', authenticateToken, asyncHandler(async (req, res) => {
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  await approveMilestone(order, req.user, req.params.milestoneId);
+
+  res.json({
+    success: true,
+    message: order.status === 'completed' ? 'Milestone approved, order completed' : 'Milestone approved',
+    data: { milestones: order.milestones, progress: order.progress }
+  });
+}));
+
+// Request changes to a delivered milestone (buyer)
+router.post('/:id/milestones/:milestoneId/request-changes', authenticateToken, asyncHandler(async (req, res) => {
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  await requestMilestoneChanges(order, req.user, req.params.milestoneId, req.body.reason);
+
+  res.json({
+    success: true,
+    message: 'Changes requested',
+    data: { milestones: order.milestones, progress: order.progress }
+  });
+}));
+
+// Request cancellation (buyer or seller)
+router.post('/:id/cancellation', authenticateToken, asyncHandler(async (req, res) => {
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  await requestCancellation(order, req.user, { reason: req.body.reason });
+
+  res.status(201).json({
+    success: true,
+    message: order.cancellation.status === 'requested'
+      ? 'Cancellation requested'
+      : 'Order cancelled and refunded',
+    data: { cancellation: order.cancellation, status: order.status }
+  });
+}));
+
+// Accept cancellation request (counterparty)
+router.post('/:id/cancellation/accept', authenticateToken, asyncHandler(async (req, res) => {
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  await acceptCancellation(order, req.user, { response: req.body.response });
+
+  res.json({
+    success: true,
+    message: 'Cancellation accepted, order cancelled and refunded',
+    data: { cancellation: order.cancellation, status: order.status }
+  });
+}));
+
+// Decline cancellation request (counterparty)
+router.post('/:id/cancellation/decline', authenticateToken, asyncHandler(async (req, res) => {
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  await declineCancellation(order, req.user, { response: req.body.response });
+
+  res.json({
+    success: true,
+    message: 'Cancellation declined',
+    data: { cancellation: order.cancellation, status: order.status }
+  });
+}));
+
+// Withdraw own cancellation request
+router.post('/:id/cancellation/withdraw', authenticateToken, asyncHandler(async (req, res) => {
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  await withdrawCancellation(order, req.user);
+
+  res.json({
+    success: true,
+    message: 'Cancellation request withdrawn',
+    data: { cancellation: order.cancellation, status: order.status }
+  });
+}));
+
+// Open dispute with optional evidence files (buyer or seller)
+router.post('/:id/dispute', authenticateToken, attachmentUpload.array('evidence', 10), asyncHandler(async (req, res) => {
+  const { reason, details } = req.body;
+
+  const order = await findOrderForParticipant(req.params.id, req.user);
+
+  // Check before uploading so rejected disputes don't leave orphaned files
+  assertCanOpenDispute(order, req.user);
+
+  const files = await uploadOrderFiles(order, req.files, req.user._id);
+  await openDispute(order, req.user, { reason, details, files });
+
+  res.status(201).json({
+    success: true,
+    message: 'Dispute opened',
+    data: { dispute: order.dispute, status: order.status }
+  });
+}));
+
+// Get the gig as it was when the order was placed
+router.get('/:id/gig-version', authenticateToken, asyncHandler(async (req, res) => {
+  const order = await findOrderForParticipant(req.params.id, req.user, 'orderId buyer seller gig gigRevision gigVersion');
+
+  if (!order.gigRevision) {
+    throw new AppError('No gig version was recorded for this order', 404, 'REVISION_NOT_FOUND');
+  }
+
+  await order.populate('gigRevision', 'version content createdAt');
+
+  res.json({
+    success: true,
+    data: { gig: order.gig, revision: order.gigRevision }
+  });
+}));
+
+// Get dispute with evidence and discussion, and the gig version the order
+// was placed against
+router.get('/:id/dispute', authenticateToken, asyncHandler(async (req, res) => {
+  const order = await findOrderForParticipant(req.params.id, req.user, 'orderId buyer seller status dispute gigRevision');
+
+  if (!order.dispute?.status) {
+    throw new AppError('Order has no dispute', 404, 'DISPUTE_NOT_FOUND');
+  }
+
+  await order.populate([
+    { path: 'dispute.initiatedBy', select: 'username displayName avatar' },
+    { path: 'dispute.assignedTo', select: 'username displayName avatar' },
+    { path: 'dispute.evidence.submittedBy', select: 'username displayName avatar' },
+    { path: 'dispute.messages.sender', select: 'username displayName avatar' },
+    { path: 'gigRevision', select: 'version content createdAt' }
+  ]);
+
+  res.json({
+    success: true,
+    data: { dispute: order.dispute, status: order.status, gigRevision: order.gigRevision }
+  });
+}));
+
+// Add dispute evidence
+router.post('/:id/dispute/evidence', authenticateToken, attachmentUpload.array('files', 10), asyncHandler(async (req, res) => {
+  const description = (req.body.description || '').trim();
+
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  const files = await uploadOrderFiles(order, req.files, req.user._id);
+  const evidence = await addDisputeEvidence(order, req.user, { description, files });
+
+  res.status(201).json({
+    success: true,
+    message: 'Evidence added',
+    data: { evidence }
+  });
+}));
+
+// Post to the dispute discussion (buyer, seller or assigned admin)
+router.post('/:id/dispute/messages', authenticateToken, attachmentUpload.array('attachments', 5), asyncHandler(async (req, res) => {
+  const content = (req.body.content || '').trim();
+  const { replyTo } = req.body;
+
+  if (replyTo && !validateObjectId(replyTo)) {
+    throw new AppError('Invalid replyTo message ID', 400, 'INVALID_ID');
+  }
+
+  const order = await findOrderForParticipant(req.params.id, req.user);
+  const attachments = await uploadOrderFiles(order, req.files, req.user._id);
+  const message = await addDisputeMessage(order, req.user, { content, attachments, replyTo });
+
+  res.status(201).json({
+    success: true,
+    message: 'Message sent',
+    data: { message }
+  });
+}));
+
+// Update order status (accept or start the order)
 router.patch('/:id/status', authenticateToken, asyncHandler(async (req, res) => {
-  const { status } = req.body;
+  const { status, note } = req.body;
+
+  if (!status) {
+    throw new AppError('Status is required', 400, 'MISSING_FIELDS');
+  }
   
   const order = await Order.findById(req.params.id);
   
@@ -100,13 +720,9 @@ router.patch('/:id/status', authenticateToken, asyncHandler(async (req, res) =>
     throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
   }
 
-  // Check permissions based on status change
-  if (status === 'accepted' && !order.seller.equals(req.user._id)) {
-    throw new AppError('Only seller can accept orders', 403, 'ACCESS_DENIED');
-  }
-
-  order.status = status;
-  await order.save();
+  // Only direct moves (accept, start); cancellations, deliveries, revisions,
+  // completion, disputes and refunds go through their own endpoints
+  await changeOrderStatus(order, status, { user: req.user, note });
 
   res.json({
     success: true,
@@ -0,0 +1,153 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validatePagination } from '../middleware/validation.js';
+import { Order, Subscription } from '../models/index.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  findSubscriptionForParty,
+  createSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  upgradeSubscription,
+  cancelSubscription
+} from '../services/subscriptionService.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Get user's subscriptions (as buyer, as seller, or both)
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { page, limit, skip } = req.pagination;
+  const { status, type } = req.query;
+
+  let query = {};
+
+  if (type === 'buying') {
+    query.buyer = req.user._id;
+  } else if (type === 'selling') {
+    query.seller = req.user._id;
+  } else {
+    query.$or = [
+      { buyer: req.user._id },
+      { seller: req.user._id }
+    ];
+  }
+
+  if (status) query.status = status;
+
+  const subscriptions = await Subscription.find(query)
+    .populate('buyer', 'username displayName avatar')
+    .populate('seller', 'username displayName avatar')
+    .populate('gig', 'title images')
+    .select('-history')
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: -1 });
+
+  const total = await Subscription.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      subscriptions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// Subscribe to a gig package's plan (`gigId`, `package`, `requirements`,
+// `paymentSource`); the first cycle's order is created and paid now
+router.post('/', asyncHandler(async (req, res) => {
+  const { subscription, order } = await createSubscription(req.user, {
+    ...req.body,
+    metadata: {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      source: 'web'
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Subscription created',
+    data: { subscription, order }
+  });
+}));
+
+// Get subscription with its history and every cycle's order
+router.get('/:id', asyncHandler(async (req, res) => {
+  const subscription = await findSubscriptionForParty(req.params.id, req.user);
+
+  await subscription.populate([
+    { path: 'buyer', select: 'username displayName avatar' },
+    { path: 'seller', select: 'username displayName avatar' },
+    { path: 'gig', select: 'title images' },
+    { path: 'history.by', select: 'username displayName' }
+  ]);
+
+  const cycles = await Order.find({ subscription: subscription._id })
+    .select('orderId subscriptionCycle status amount currency dates createdAt')
+    .sort({ 'subscriptionCycle.number': -1 });
+
+  res.json({
+    success: true,
+    data: { subscription, cycles }
+  });
+}));
+
+// Pause billing (buyer)
+router.post('/:id/pause', asyncHandler(async (req, res) => {
+  const subscription = await findSubscriptionForParty(req.params.id, req.user);
+  await pauseSubscription(subscription, req.user, { note: req.body.note });
+
+  res.json({
+    success: true,
+    message: 'Subscription paused',
+    data: { subscription }
+  });
+}));
+
+// Resume billing (buyer)
+router.post('/:id/resume', asyncHandler(async (req, res) => {
+  const subscription = await findSubscriptionForParty(req.params.id, req.user);
+  await resumeSubscription(subscription, req.user);
+
+  res.json({
+    success: true,
+    message: 'Subscription resumed',
+    data: { subscription }
+  });
+}));
+
+// Upgrade to a higher package's plan from the next cycle (buyer)
+router.post('/:id/upgrade', asyncHandler(async (req, res) => {
+  const subscription = await findSubscriptionForParty(req.params.id, req.user);
+  await upgradeSubscription(subscription, req.user, { package: req.body.package });
+
+  res.json({
+    success: true,
+    message: 'Subscription upgraded',
+    data: { subscription }
+  });
+}));
+
+// Cancel (buyer or seller)
+router.post('/:id/cancel', asyncHandler(async (req, res) => {
+  const subscription = await findSubscriptionForParty(req.params.id, req.user);
+  await cancelSubscription(subscription, req.user, { reason: req.body.reason });
+
+  res.json({
+    success: true,
+    message: 'Subscription cancelled',
+    data: { subscription }
+  });
+}));
+
+export default router;
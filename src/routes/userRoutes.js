@@ -33,11 +33,19 @@ router.get('/:id', asyncHandler(async (req, res) => {
   });
 }));
 
+// Profile subfields a user can edit, written as dotted paths so the
+// server-maintained stats, payout methods and verification beside them are
+// never replaced
+const PROFILE_FIELDS = {
+  sellerProfile: ['professionalTitle', 'experience', 'skills', 'languages', 'socialAccounts', 'portfolio', 'availability'],
+  buyerProfile: ['company', 'industry']
+};
+
 // Update user profile
 router.put('/profile', authenticateToken, asyncHandler(async (req, res) => {
   const allowedUpdates = [
     'firstName', 'lastName', 'bio', 'location', 'phone',
-    'preferences', 'sellerProfile', 'buyerProfile'
+    'preferences', 'taxProfile'
   ];
   
   const updates = {};
@@ -47,9 +55,20 @@ router.put('/profile', authenticateToken, asyncHandler(async (req, res) => {
     }
   });
 
+  Object.entries(PROFILE_FIELDS).forEach(([profile, fields]) => {
+    const values = req.body[profile];
+    if (!values || typeof values !== 'object') return;
+
+    fields.forEach(field => {
+      if (values[field] !== undefined) {
+        updates[`${profile}.${field}`] = values[field];
+      }
+    });
+  });
+
   const user = await User.findByIdAndUpdate(
     req.user._id,
-    updates,
+    { $set: updates },
     { new: true, runValidators: true }
   ).select('-password');
 
@@ -0,0 +1,170 @@
+import express from 'express';
+import { authenticateToken, requireSeller } from '../middleware/auth.js';
+import { validatePagination } from '../middleware/validation.js';
+import { LedgerEntry, User, Withdrawal } from '../models/index.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { getWalletBalances, requestWithdrawal } from '../services/walletService.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken, requireSeller);
+
+// Get wallet balances
+router.get('/', asyncHandler(async (req, res) => {
+  const balances = await getWalletBalances(req.user._id);
+
+  res.json({
+    success: true,
+    data: { balances }
+  });
+}));
+
+// Get wallet transaction history
+router.get('/transactions', validatePagination, asyncHandler(async (req, res) => {
+  const { page, limit, skip } = req.pagination;
+  const { type } = req.query;
+
+  const query = { user: req.user._id, account: 'seller' };
+  if (type) query.type = type;
+
+  const transactions = await LedgerEntry.find(query)
+    .populate('order', 'orderId gigTitle')
+    .populate('withdrawal', 'withdrawalId status')
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: -1 });
+
+  const total = await LedgerEntry.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      transactions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// Get payout methods
+router.get('/payout-methods', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: { payoutMethods: req.user.sellerProfile?.payoutMethods || [] }
+  });
+}));
+
+// Add payout method
+router.post('/payout-methods', asyncHandler(async (req, res) => {
+  const { type, label, email, accountHolder, bankName, accountNumber, isDefault } = req.body;
+
+  if (!['paypal', 'payoneer', 'bank_transfer'].includes(type)) {
+    throw new AppError('Payout method type must be paypal, payoneer or bank_transfer', 400, 'INVALID_PAYOUT_METHOD');
+  }
+
+  if (type === 'bank_transfer' && (!accountHolder || !bankName || !accountNumber)) {
+    throw new AppError('Account holder, bank name and account number are required', 400, 'MISSING_FIELDS');
+  }
+
+  if (type !== 'bank_transfer' && !email) {
+    throw new AppError('Account email is required', 400, 'MISSING_FIELDS');
+  }
+
+  const user = await User.findById(req.user._id);
+  const methods = user.sellerProfile.payoutMethods;
+  const makeDefault = Boolean(isDefault) || methods.length === 0;
+
+  if (makeDefault) {
+    methods.forEach(m => { m.isDefault = false; });
+  }
+
+  methods.push({
+    type,
+    label,
+    email,
+    accountHolder,
+    bankName,
+    accountLast4: accountNumber ? String(accountNumber).slice(-4) : undefined,
+    isDefault: makeDefault
+  });
+  await user.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Payout method added',
+    data: { payoutMethods: user.sellerProfile.payoutMethods }
+  });
+}));
+
+// Remove payout method
+router.delete('/payout-methods/:methodId', asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  const method = user.sellerProfile.payoutMethods.id(req.params.methodId);
+
+  if (!method) {
+    throw new AppError('Payout method not found', 404, 'PAYOUT_METHOD_NOT_FOUND');
+  }
+
+  const wasDefault = method.isDefault;
+  method.deleteOne();
+
+  if (wasDefault && user.sellerProfile.payoutMethods.length > 0) {
+    user.sellerProfile.payoutMethods[0].isDefault = true;
+  }
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Payout method removed',
+    data: { payoutMethods: user.sellerProfile.payoutMethods }
+  });
+}));
+
+// Get withdrawal requests
+router.get('/withdrawals', validatePagination, asyncHandler(async (req, res) => {
+  const { page, limit, skip } = req.pagination;
+  const { status } = req.query;
+
+  const query = { seller: req.user._id };
+  if (status) query.status = status;
+
+  const withdrawals = await Withdrawal.find(query)
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: -1 });
+
+  const total = await Withdrawal.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      withdrawals,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// Request withdrawal
+router.post('/withdrawals', asyncHandler(async (req, res) => {
+  const { amount, payoutMethodId } = req.body;
+
+  const withdrawal = await requestWithdrawal(req.user, { amount, payoutMethodId });
+
+  res.status(201).json({
+    success: true,
+    message: 'Withdrawal requested',
+    data: { withdrawal }
+  });
+}));
+
+export default router;
@@ -0,0 +1,187 @@
+import { Order } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { applyTransitions } from './orderService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours the counterparty has to answer a cancellation request
+export const getCancellationResponseHours = () => parseInt(process.env.CANCELLATION_RESPONSE_HOURS) || 48;
+
+const hasOpenRequest = (order) => ['requested', 'escalated'].includes(order.cancellation?.status);
+
+// Escalate a request the counterparty did not answer in time. Returns true
+// when the order was escalated (and saved).
+export const escalateIfOverdue = async (order, now = new Date()) => {
+  const { cancellation } = order;
+  if (cancellation?.status !== 'requested' || !cancellation.respondBy || cancellation.respondBy > now) {
+    return false;
+  }
+
+  cancellation.status = 'escalated';
+  cancellation.escalatedAt = now;
+  order.addTimelineEvent('cancellation_escalated', { role: 'system', note: 'No response before the deadline' });
+  await order.save();
+  return true;
+};
+
+// Escalate every overdue request; returns how many were escalated
+export const escalateOverdueCancellations = async (now = new Date()) => {
+  const orders = await Order.findOverdueCancellationRequests(now);
+  let escalated = 0;
+  for (const order of orders) {
+    if (await escalateIfOverdue(order, now)) escalated++;
+  }
+  return escalated;
+};
+
+// Cancel the order and refund the buyer in one transaction
+const cancelAndRefund = (order, { user = null, role = null, note }) => {
+  return applyTransitions(order, [
+    { status: 'cancelled', user, role, note },
+    { status: 'refunded', role: 'system', note: 'Cancellation refund' }
+  ]);
+};
+
+// Buyer or seller asks to cancel. Orders the seller has not accepted yet are
+// cancelled straight away; otherwise the counterparty has to agree.
+export const requestCancellation = async (order, user, { reason }) => {
+  const role = order.getPartyRole(user._id);
+
+  if (!role) {
+    throw new AppError('Only the buyer or seller can request cancellation', 403, 'ACCESS_DENIED');
+  }
+
+  if (!reason) {
+    throw new AppError('Cancellation reason is required', 400, 'MISSING_FIELDS');
+  }
+
+  if (!order.canBeCancelled(user._id)) {
+    throw new AppError(`Order cannot be cancelled while ${order.status}`, 409, 'CANCELLATION_NOT_ALLOWED');
+  }
+
+  await escalateIfOverdue(order);
+  if (hasOpenRequest(order)) {
+    throw new AppError('A cancellation request is already open', 409, 'CANCELLATION_ALREADY_REQUESTED');
+  }
+
+  const now = new Date();
+  order.cancellation = {
+    requestedBy: user._id,
+    requesterRole: role,
+    reason,
+    requestedAt: now,
+    respondBy: new Date(now.getTime() + getCancellationResponseHours() * HOUR_MS),
+    status: 'requested'
+  };
+  order.addTimelineEvent('cancellation_requested', { actor: user._id, role, note: reason });
+
+  if (order.status === 'pending') {
+    order.cancellation.status = 'approved';
+    order.cancellation.approvedAt = now;
+    order.cancellation.approvedBy = user._id;
+    return cancelAndRefund(order, { user, note: reason });
+  }
+
+  await order.save();
+  return order;
+};
+
+const assertCounterparty = (order, user) => {
+  const role = order.getPartyRole(user._id);
+  if (!role || order.cancellation.requestedBy.equals(user._id)) {
+    throw new AppError('Only the other party can answer this request', 403, 'ACCESS_DENIED');
+  }
+  return role;
+};
+
+const assertRequested = async (order) => {
+  await escalateIfOverdue(order);
+
+  if (order.cancellation?.status === 'escalated') {
+    throw new AppError('The response deadline has passed; an admin will decide', 409, 'CANCELLATION_ESCALATED');
+  }
+
+  if (order.cancellation?.status !== 'requested') {
+    throw new AppError('No open cancellation request', 409, 'NO_CANCELLATION_REQUEST');
+  }
+};
+
+export const acceptCancellation = async (order, user, { response } = {}) => {
+  await assertRequested(order);
+  const role = assertCounterparty(order, user);
+
+  const now = new Date();
+  Object.assign(order.cancellation, {
+    status: 'approved',
+    response,
+    respondedAt: now,
+    approvedAt: now,
+    approvedBy: user._id
+  });
+  order.addTimelineEvent('cancellation_accepted', { actor: user._id, role, note: response });
+
+  return cancelAndRefund(order, { user, note: order.cancellation.reason });
+};
+
+export const declineCancellation = async (order, user, { response } = {}) => {
+  await assertRequested(order);
+  const role = assertCounterparty(order, user);
+
+  if (!response) {
+    throw new AppError('A response is required when declining', 400, 'MISSING_FIELDS');
+  }
+
+  Object.assign(order.cancellation, {
+    status: 'declined',
+    response,
+    respondedAt: new Date()
+  });
+  order.addTimelineEvent('cancellation_declined', { actor: user._id, role, note: response });
+
+  await order.save();
+  return order;
+};
+
+export const withdrawCancellation = async (order, user) => {
+  if (!hasOpenRequest(order) || !order.cancellation.requestedBy.equals(user._id)) {
+    throw new AppError('No open cancellation request of yours', 409, 'NO_CANCELLATION_REQUEST');
+  }
+
+  order.cancellation.status = 'withdrawn';
+  order.addTimelineEvent('cancellation_withdrawn', {
+    actor: user._id,
+    role: order.getPartyRole(user._id)
+  });
+
+  await order.save();
+  return order;
+};
+
+// Admin decision on an escalated (or overdue) request
+export const resolveCancellation = async (order, admin, { approve, note }) => {
+  await escalateIfOverdue(order);
+
+  if (order.cancellation?.status !== 'escalated') {
+    throw new AppError('Only escalated cancellation requests can be resolved by an admin', 409, 'CANCELLATION_NOT_ESCALATED');
+  }
+
+  const now = new Date();
+  order.cancellation.response = note;
+  order.cancellation.respondedAt = now;
+
+  if (!approve) {
+    order.cancellation.status = 'declined';
+    order.addTimelineEvent('cancellation_rejected', { actor: admin._id, role: 'admin', note });
+    await order.save();
+    return order;
+  }
+
+  Object.assign(order.cancellation, {
+    status: 'approved',
+    approvedAt: now,
+    approvedBy: admin._id
+  });
+  order.addTimelineEvent('cancellation_approved', { actor: admin._id, role: 'admin', note });
+
+  return cancelAndRefund(order, { user: admin, role: 'admin', note: order.cancellation.reason });
+};
@@ -0,0 +1,197 @@
+import mongoose from 'mongoose';
+import { Coupon, Gig, Order } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { calculateOrderAmount, roundAmount } from './pricingService.js';
+import { getExchangeRate, getSellerCurrency, normalizeCurrency, toBaseCurrency } from './currencyService.js';
+import { getBaseCurrency } from '../config/currencies.js';
+
+// Fields admins and sellers may set; issuer, seller and usage are managed here
+const EDITABLE_FIELDS = [
+  'description', 'gigs', 'discountType', 'value', 'maxDiscount', 'minSpend',
+  'usageLimit', 'usageLimitPerUser', 'firstOrderOnly', 'startsAt', 'expiresAt', 'isActive'
+];
+
+const pickEditable = (data = {}) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+// Seller coupons can only be scoped to the seller's own gigs
+const assertSellerGigs = async (sellerId, gigIds = []) => {
+  if (!gigIds.length) return;
+
+  if (!gigIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    throw new AppError('Invalid gig ID', 400, 'INVALID_ID');
+  }
+
+  const owned = await Gig.countDocuments({ _id: { $in: gigIds }, seller: sellerId });
+  if (owned !== new Set(gigIds.map(String)).size) {
+    throw new AppError('Coupons can only be limited to your own gigs', 400, 'INVALID_COUPON_GIGS');
+  }
+};
+
+// Create a platform coupon (admin) or a seller coupon
+export const createCoupon = async (user, data, { issuer }) => {
+  if (!data.code) {
+    throw new AppError('Coupon code is required', 400, 'MISSING_FIELDS');
+  }
+
+  if (issuer === 'seller') {
+    await assertSellerGigs(user._id, data.gigs);
+  }
+
+  if (await Coupon.findByCode(data.code)) {
+    throw new AppError('Coupon code already exists', 409, 'COUPON_CODE_TAKEN');
+  }
+
+  // Seller coupon amounts are in the seller's currency
+  const currency = issuer === 'seller'
+    ? await getSellerCurrency(user._id)
+    : normalizeCurrency(data.currency || getBaseCurrency());
+
+  return Coupon.create({
+    ...pickEditable(data),
+    code: data.code,
+    currency,
+    issuer,
+    seller: issuer === 'seller' ? user._id : undefined,
+    createdBy: user._id
+  });
+};
+
+export const updateCoupon = async (coupon, data) => {
+  const updates = pickEditable(data);
+
+  if (coupon.issuer === 'seller' && updates.gigs) {
+    await assertSellerGigs(coupon.seller, updates.gigs);
+  }
+
+  coupon.set(updates);
+  await coupon.save();
+  return coupon;
+};
+
+// Validate a coupon code for a gig order and work out the discount in the
+// order currency, given the order's fee rates. With `redeem`, a use is
+// counted against the global limit inside the caller's transaction. Returns
+// the snapshot stored on the order.
+export const applyCoupon = async (code, { buyer, gig, subtotal, currency, rates, baseRate, session, redeem = false }) => {
+  const coupon = await Coupon.findByCode(code).session(session || null);
+
+  if (!coupon || !coupon.isActive) {
+    throw new AppError('Coupon not found', 404, 'COUPON_NOT_FOUND');
+  }
+
+  if (!coupon.isWithinWindow()) {
+    throw new AppError('Coupon is not valid at this time', 400, 'COUPON_EXPIRED');
+  }
+
+  if (!coupon.appliesToGig(gig)) {
+    throw new AppError('Coupon does not apply to this gig', 400, 'COUPON_NOT_APPLICABLE');
+  }
+
+  const rate = await getExchangeRate(coupon.currency, currency || coupon.currency, { session });
+
+  if (subtotal < roundAmount((coupon.minSpend || 0) * rate)) {
+    throw new AppError(`Coupon requires a minimum spend of ${coupon.minSpend} ${coupon.currency}`, 400, 'COUPON_MIN_SPEND');
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new AppError('Coupon has been fully redeemed', 400, 'COUPON_USAGE_LIMIT');
+  }
+
+  if (coupon.firstOrderOnly && await Order.exists({ buyer: buyer._id }).session(session || null)) {
+    throw new AppError('Coupon is only valid on your first order', 400, 'COUPON_FIRST_ORDER_ONLY');
+  }
+
+  const uses = await Order.countDocuments({ buyer: buyer._id, 'coupon.couponId': coupon._id }).session(session || null);
+  if (uses >= coupon.usageLimitPerUser) {
+    throw new AppError('You have already used this coupon', 400, 'COUPON_USAGE_LIMIT');
+  }
+
+  // Sellers fund their coupons out of earnings, which cannot go below zero
+  let discount = coupon.computeDiscount(subtotal, rate);
+  if (coupon.issuer === 'seller') {
+    discount = Math.min(discount, calculateOrderAmount(subtotal, { rates, baseRate }).sellerEarnings);
+  }
+
+  if (redeem) {
+    const { modifiedCount } = await Coupon.updateOne(
+      {
+        _id: coupon._id,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usedCount: 1 } },
+      { session }
+    );
+
+    if (!modifiedCount) {
+      throw new AppError('Coupon has been fully redeemed', 400, 'COUPON_USAGE_LIMIT');
+    }
+  }
+
+  return {
+    couponId: coupon._id,
+    code: coupon.code,
+    issuer: coupon.issuer,
+    fundedBy: coupon.issuer,
+    discountType: coupon.discountType,
+    value: coupon.value,
+    discount
+  };
+};
+
+// Coupon usage per code: orders, discounts given and who funded them, with
+// amounts in the base currency
+export const getCouponAnalytics = async ({ from, to } = {}) => {
+  const match = { 'coupon.couponId': { $exists: true } };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+
+  const [coupons, totals] = await Promise.all([
+    Order.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$coupon.couponId',
+          code: { $first: '$coupon.code' },
+          fundedBy: { $first: '$coupon.fundedBy' },
+          orders: { $sum: 1 },
+          cancelledOrders: {
+            $sum: { $cond: [{ $in: ['$status', ['cancelled', 'refunded']] }, 1, 0] }
+          },
+          totalDiscount: { $sum: toBaseCurrency('$amount.discount') },
+          grossSales: { $sum: toBaseCurrency('$amount.subtotal') },
+          buyersCharged: { $sum: toBaseCurrency('$amount.total') }
+        }
+      },
+      { $sort: { orders: -1 } }
+    ]),
+    Order.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$coupon.fundedBy',
+          orders: { $sum: 1 },
+          totalDiscount: { $sum: toBaseCurrency('$amount.discount') }
+        }
+      }
+    ])
+  ]);
+
+  const byFunder = Object.fromEntries(totals.map(t => [t._id, { orders: t.orders, totalDiscount: t.totalDiscount }]));
+
+  return {
+    currency: getBaseCurrency(),
+    coupons,
+    totals: {
+      platform: byFunder.platform || { orders: 0, totalDiscount: 0 },
+      seller: byFunder.seller || { orders: 0, totalDiscount: 0 }
+    }
+  };
+};
@@ -0,0 +1,235 @@
+import { ExchangeRate, Gig, LedgerEntry } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { CURRENCIES, getBaseCurrency } from '../config/currencies.js';
+import { roundAmount } from './pricingService.js';
+
+const roundRate = (value) => Math.round(value * 1e8) / 1e8;
+
+export const normalizeCurrency = (currency) => {
+  const code = String(currency || '').trim().toUpperCase();
+
+  if (!CURRENCIES.includes(code)) {
+    throw new AppError(`Currency must be one of: ${CURRENCIES.join(', ')}`, 400, 'INVALID_CURRENCY');
+  }
+
+  return code;
+};
+
+// Units of each currency per unit of the base currency
+const getBaseRates = async (currencies, { session } = {}) => {
+  const base = getBaseCurrency();
+  const needed = [...new Set(currencies)].filter(currency => currency !== base);
+  const docs = needed.length
+    ? await ExchangeRate.find({ currency: { $in: needed } }).session(session || null)
+    : [];
+
+  const rates = { [base]: 1, ...Object.fromEntries(docs.map(doc => [doc.currency, doc.rate])) };
+
+  const missing = needed.find(currency => rates[currency] == null);
+  if (missing) {
+    throw new AppError(`No exchange rate available for ${missing}`, 400, 'EXCHANGE_RATE_NOT_FOUND');
+  }
+
+  return rates;
+};
+
+export const getExchangeRate = async (from, to, { session } = {}) => {
+  if (from === to) return 1;
+
+  const rates = await getBaseRates([from, to], { session });
+  return roundRate(rates[to] / rates[from]);
+};
+
+export const convertAmount = (amount, rate) => roundAmount(amount * rate);
+
+// Convert every figure of an order amount (subtotal, discount, fees, tax, total)
+export const convertOrderAmount = (amount, rate) => ({
+  subtotal: convertAmount(amount.subtotal, rate),
+  discount: convertAmount(amount.discount || 0, rate),
+  fees: Object.fromEntries(
+    Object.entries(amount.fees || {}).map(([fee, value]) => [fee, convertAmount(value || 0, rate)])
+  ),
+  tax: convertAmount(amount.tax || 0, rate),
+  total: convertAmount(amount.total, rate)
+});
+
+// Rates locked onto an order at purchase: to the base currency for reports
+// and to the currency the buyer viewed the price in
+export const lockOrderExchange = async (currency, displayCurrency = currency, { session } = {}) => {
+  const baseCurrency = getBaseCurrency();
+  const rates = await getBaseRates([currency, displayCurrency], { session });
+
+  return {
+    baseCurrency,
+    baseRate: roundRate(1 / rates[currency]),
+    displayCurrency,
+    displayRate: roundRate(rates[displayCurrency] / rates[currency]),
+    lockedAt: new Date()
+  };
+};
+
+// Aggregation expression converting an order amount field to the base
+// currency with the order's locked rate (orders before multi-currency are in
+// the base currency)
+export const toBaseCurrency = (field) => ({
+  $multiply: [field, { $ifNull: ['$exchange.baseRate', 1] }]
+});
+
+// Builder of aggregation expressions converting a price in the document's
+// own currency into `currency` at the current rates. Documents in a currency
+// without a rate convert to null.
+export const getCurrencyConverter = async (currency) => {
+  const base = getBaseCurrency();
+  const docs = await ExchangeRate.find().select('currency rate');
+  const rates = { [base]: 1, ...Object.fromEntries(docs.map(doc => [doc.currency, doc.rate])) };
+
+  if (!rates[currency]) {
+    throw new AppError(`No exchange rate available for ${currency}`, 400, 'EXCHANGE_RATE_NOT_FOUND');
+  }
+
+  return (expression) => ({
+    $multiply: [expression, {
+      $switch: {
+        branches: Object.entries(rates).map(([code, rate]) => ({
+          case: { $eq: [{ $ifNull: ['$currency', base] }, code] },
+          then: roundRate(rates[currency] / rate)
+        })),
+        default: null
+      }
+    }]
+  });
+};
+
+// Currency a buyer sees prices in: an explicit request, then their preference
+export const getDisplayCurrency = (user, requested) => {
+  if (requested) return normalizeCurrency(requested);
+  return user?.preferences?.currency || null;
+};
+
+// A seller's wallet holds a single currency: whatever their earnings are in,
+// else the currency of their gigs
+export const getSellerCurrency = async (sellerId, { session } = {}) => {
+  const entry = await LedgerEntry.findOne({ user: sellerId, account: 'seller' }).select('currency').session(session || null);
+  if (entry?.currency) return entry.currency;
+
+  const gig = await Gig.findOne({ seller: sellerId }).select('currency').session(session || null);
+  return gig?.currency || getBaseCurrency();
+};
+
+// All of a seller's gigs are priced in their wallet currency
+export const assertGigCurrency = async (sellerId, currency, { gigId } = {}) => {
+  const code = normalizeCurrency(currency);
+
+  const entry = await LedgerEntry.findOne({ user: sellerId, account: 'seller', currency: { $ne: code } }).select('currency');
+  if (entry) {
+    throw new AppError(`Your earnings are in ${entry.currency}; gigs must be priced in ${entry.currency}`, 400, 'GIG_CURRENCY_MISMATCH');
+  }
+
+  const query = { seller: sellerId, currency: { $ne: code } };
+  if (gigId) query._id = { $ne: gigId };
+
+  const other = await Gig.findOne(query).select('currency');
+  if (other) {
+    throw new AppError(`All your gigs must be priced in the same currency (${other.currency})`, 400, 'GIG_CURRENCY_MISMATCH');
+  }
+
+  return code;
+};
+
+// Add package and extra prices converted into the buyer's currency
+export const withDisplayPrices = async (gigs, currency) => {
+  const list = Array.isArray(gigs) ? gigs : [gigs];
+  if (!currency) return gigs;
+
+  const rates = await getBaseRates([currency, ...list.map(gig => gig.currency)]);
+
+  const converted = list.map(gig => {
+    const rate = roundRate(rates[currency] / rates[gig.currency]);
+    const packages = Object.fromEntries(
+      Object.entries(gig.getActivePackages()).map(([name, pkg]) => [name, convertAmount(pkg.price, rate)])
+    );
+
+    return {
+      ...gig.toJSON(),
+      displayPrices: {
+        currency,
+        rate,
+        packages,
+        extras: gig.getActiveExtras().map(extra => ({ _id: extra._id, price: convertAmount(extra.price, rate) }))
+      }
+    };
+  });
+
+  return Array.isArray(gigs) ? converted : converted[0];
+};
+
+export const listExchangeRates = async () => {
+  const rates = await ExchangeRate.find()
+    .populate('updatedBy', 'username displayName')
+    .sort({ currency: 1 });
+
+  return { baseCurrency: getBaseCurrency(), rates };
+};
+
+// Set rates (units per one base currency unit) from a { currency: rate } map
+export const setExchangeRates = async (admin, rates, { source = 'manual' } = {}) => {
+  const base = getBaseCurrency();
+  const entries = Object.entries(rates || {});
+
+  if (!entries.length) {
+    throw new AppError('At least one exchange rate is required', 400, 'MISSING_FIELDS');
+  }
+
+  const updates = entries.map(([currency, rate]) => {
+    const code = normalizeCurrency(currency);
+    const value = parseFloat(rate);
+
+    if (code === base) {
+      throw new AppError(`Rates are quoted against ${base}, which cannot have a rate`, 400, 'INVALID_EXCHANGE_RATE');
+    }
+    if (!value || value <= 0) {
+      throw new AppError(`Invalid exchange rate for ${code}`, 400, 'INVALID_EXCHANGE_RATE');
+    }
+
+    return { currency: code, rate: value };
+  });
+
+  await ExchangeRate.bulkWrite(updates.map(({ currency, rate }) => ({
+    updateOne: {
+      filter: { currency },
+      update: {
+        $set: { rate, source, updatedBy: admin._id, updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      upsert: true
+    }
+  })));
+
+  return listExchangeRates();
+};
+
+// Parse an uploaded rates file: a JSON { "EUR": 0.92 } object or
+// [{ currency, rate }] array, or CSV lines of currency,rate (header optional)
+export const parseExchangeRatesFile = (file) => {
+  const text = file.buffer.toString('utf8').trim();
+
+  try {
+    if (text.startsWith('{') || text.startsWith('[')) {
+      const data = JSON.parse(text);
+      return Array.isArray(data)
+        ? Object.fromEntries(data.map(row => [row.currency, row.rate]))
+        : data;
+    }
+  } catch {
+    throw new AppError('Exchange rate file is not valid JSON', 400, 'INVALID_RATES_FILE');
+  }
+
+  const rows = text.split(/\r?\n/).map(line => line.split(',').map(cell => cell.trim())).filter(row => row[0]);
+  if (rows[0] && Number.isNaN(parseFloat(rows[0][1]))) rows.shift(); // Header
+
+  if (!rows.length || rows.some(row => row.length < 2)) {
+    throw new AppError('Exchange rate CSV must have currency,rate rows', 400, 'INVALID_RATES_FILE');
+  }
+
+  return Object.fromEntries(rows.map(([currency, rate]) => [currency, rate]));
+};
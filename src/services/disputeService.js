@@ -0,0 +1,205 @@
+import { LedgerEntry, User } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { roundAmount } from './pricingService.js';
+import { issueRefund, recordRefund } from './ledgerService.js';
+import { applyTransitions, transitionOrder } from './orderService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DISPUTE_OUTCOMES = ['full_refund', 'partial_refund', 'release_to_seller', 'redo'];
+
+const isDisputeOpen = (order) => ['open', 'under_review'].includes(order.dispute?.status);
+
+const assertDisputeOpen = (order) => {
+  if (!isDisputeOpen(order)) {
+    throw new AppError('Order has no open dispute', 409, 'DISPUTE_NOT_OPEN');
+  }
+};
+
+// Orders moved to disputed by a plain status change, before that was limited
+// to opening a dispute, have no dispute record and could not be resolved.
+// Rebuild one from the timeline (in memory) so an admin can settle them.
+export const recoverDisputeRecord = (order) => {
+  if (order.status !== 'disputed' || order.dispute?.status) return order;
+
+  const event = order.timeline.slice().reverse().find(entry => entry.to === 'disputed');
+  order.dispute = {
+    initiatedBy: event?.actor,
+    initiatorRole: ['buyer', 'seller'].includes(event?.actorRole) ? event.actorRole : undefined,
+    reason: event?.note || 'Not recorded',
+    initiatedAt: event?.at,
+    status: 'open',
+    evidence: [],
+    messages: []
+  };
+  return order;
+};
+
+// Buyer, seller or the admin assigned to the dispute
+const getDisputeRole = (order, user) => {
+  const role = order.getActorRole(user);
+
+  if (!role) {
+    throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+  }
+
+  if (role === 'admin' && !order.dispute.assignedTo?.equals(user._id)) {
+    throw new AppError('Assign the dispute to yourself first', 403, 'DISPUTE_NOT_ASSIGNED');
+  }
+
+  return role;
+};
+
+// Check a dispute can be opened, so evidence is not uploaded for nothing
+export const assertCanOpenDispute = (order, user) => {
+  const role = order.getPartyRole(user._id);
+
+  if (!role) {
+    throw new AppError('Only the buyer or seller can open a dispute', 403, 'ACCESS_DENIED');
+  }
+
+  if (isDisputeOpen(order)) {
+    throw new AppError('A dispute is already open for this order', 409, 'DISPUTE_ALREADY_OPEN');
+  }
+
+  if (!order.canTransition('disputed', role)) {
+    throw new AppError(`Order cannot be disputed while ${order.status}`, 409, 'INVALID_STATUS_TRANSITION');
+  }
+
+  return role;
+};
+
+export const openDispute = async (order, user, { reason, details, files = [] }) => {
+  const role = assertCanOpenDispute(order, user);
+
+  if (!reason) {
+    throw new AppError('Dispute reason is required', 400, 'MISSING_FIELDS');
+  }
+
+  const now = new Date();
+  order.dispute = {
+    initiatedBy: user._id,
+    initiatorRole: role,
+    reason,
+    details,
+    initiatedAt: now,
+    status: 'open',
+    evidence: files.length ? [{ submittedBy: user._id, role, description: details, files, submittedAt: now }] : [],
+    messages: []
+  };
+
+  return transitionOrder(order, 'disputed', { user, note: reason });
+};
+
+export const addDisputeEvidence = async (order, user, { description, files = [] }) => {
+  assertDisputeOpen(order);
+  const role = getDisputeRole(order, user);
+
+  if (!description && files.length === 0) {
+    throw new AppError('Evidence needs a description or files', 400, 'MISSING_FIELDS');
+  }
+
+  order.dispute.evidence.push({ submittedBy: user._id, role, description, files });
+  await order.save();
+  return order.dispute.evidence[order.dispute.evidence.length - 1];
+};
+
+export const addDisputeMessage = async (order, user, { content, attachments = [], replyTo }) => {
+  assertDisputeOpen(order);
+  const role = getDisputeRole(order, user);
+
+  if (!content && attachments.length === 0) {
+    throw new AppError('Message content or an attachment is required', 400, 'MISSING_FIELDS');
+  }
+
+  if (replyTo && !order.dispute.messages.id(replyTo)) {
+    throw new AppError('Message to reply to not found', 404, 'MESSAGE_NOT_FOUND');
+  }
+
+  order.dispute.messages.push({ sender: user._id, role, content, attachments, replyTo });
+  await order.save();
+  return order.dispute.messages[order.dispute.messages.length - 1];
+};
+
+// Assign the dispute to an admin (the acting admin by default)
+export const assignDispute = async (order, admin, { assigneeId } = {}) => {
+  assertDisputeOpen(order);
+
+  const assignee = assigneeId
+    ? await User.findOne({ _id: assigneeId, role: 'admin' }).select('_id username')
+    : admin;
+
+  if (!assignee) {
+    throw new AppError('Assignee must be an admin', 400, 'INVALID_ASSIGNEE');
+  }
+
+  order.dispute.assignedTo = assignee._id;
+  order.dispute.assignedAt = new Date();
+  order.dispute.status = 'under_review';
+  order.addTimelineEvent('dispute_assigned', { actor: admin._id, role: 'admin', note: assignee.username });
+
+  await order.save();
+  return order;
+};
+
+// Settle the dispute. Each outcome moves the order on and the money with it:
+// full_refund refunds the buyer everything paid, partial_refund refunds part
+// and releases the rest to the seller, release_to_seller completes the order,
+// and redo sends the order back to the seller with a fresh delivery window.
+export const resolveDispute = async (order, admin, { outcome, refundAmount, resolution }) => {
+  assertDisputeOpen(order);
+  getDisputeRole(order, admin);
+
+  if (!DISPUTE_OUTCOMES.includes(outcome)) {
+    throw new AppError(`Outcome must be one of: ${DISPUTE_OUTCOMES.join(', ')}`, 400, 'INVALID_OUTCOME');
+  }
+
+  if (!resolution) {
+    throw new AppError('A resolution explaining the decision is required', 400, 'MISSING_FIELDS');
+  }
+
+  let amount;
+  if (outcome === 'partial_refund') {
+    amount = roundAmount(parseFloat(refundAmount));
+    const { escrow } = await LedgerEntry.getOrderBalances(order._id);
+
+    if (!amount || amount <= 0 || amount >= escrow) {
+      throw new AppError(
+        `Partial refund must be more than 0 and less than the ${escrow} held in escrow`,
+        400,
+        'INVALID_REFUND_AMOUNT'
+      );
+    }
+  }
+
+  Object.assign(order.dispute, {
+    status: 'resolved',
+    outcome,
+    refundAmount: amount,
+    resolution,
+    resolvedAt: new Date(),
+    resolvedBy: admin._id
+  });
+  order.addTimelineEvent('dispute_resolved', { actor: admin._id, role: 'admin', note: `${outcome}: ${resolution}` });
+
+  const step = { user: admin, role: 'admin', note: resolution };
+
+  switch (outcome) {
+    case 'full_refund':
+      return applyTransitions(order, [{ ...step, status: 'refunded' }]);
+    case 'partial_refund': {
+      // Refund first; completing the order then releases what is left in escrow
+      const refund = await issueRefund(order, { amount });
+      return applyTransitions(order, [{ ...step, status: 'completed' }], {
+        beforeEffects: (session) => recordRefund(order, refund, { session })
+      });
+    }
+    case 'release_to_seller':
+      return applyTransitions(order, [{ ...step, status: 'completed' }]);
+    case 'redo': {
+      order.dates.dueDate = new Date(Date.now() + order.getDeliveryDays() * DAY_MS);
+      order.isLate = false;
+      return applyTransitions(order, [{ ...step, status: 'in_progress' }]);
+    }
+  }
+};
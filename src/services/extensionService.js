@@ -0,0 +1,98 @@
+import { AppError } from '../middleware/errorHandler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_EXTENSION_DAYS = 30;
+
+// Statuses in which the seller is working against a due date
+const ACTIVE_STATUSES = ['accepted', 'in_progress', 'revision_requested'];
+
+const assertActive = (order) => {
+  if (!ACTIVE_STATUSES.includes(order.status) || !order.dates.dueDate) {
+    throw new AppError(`Due date cannot be extended while ${order.status}`, 409, 'EXTENSION_NOT_ALLOWED');
+  }
+};
+
+// Seller asks the buyer for more time
+export const requestExtension = async (order, user, { days, reason }) => {
+  if (!order.seller.equals(user._id)) {
+    throw new AppError('Only the seller can request an extension', 403, 'ACCESS_DENIED');
+  }
+
+  const extraDays = parseInt(days);
+
+  if (!reason || !extraDays) {
+    throw new AppError('Reason and number of days are required', 400, 'MISSING_FIELDS');
+  }
+
+  if (extraDays < 1 || extraDays > MAX_EXTENSION_DAYS) {
+    throw new AppError(`Extensions must be between 1 and ${MAX_EXTENSION_DAYS} days`, 400, 'INVALID_EXTENSION_DAYS');
+  }
+
+  assertActive(order);
+
+  if (order.extensions.some(e => e.status === 'pending')) {
+    throw new AppError('An extension request is already pending', 409, 'EXTENSION_ALREADY_REQUESTED');
+  }
+
+  order.extensions.push({ requestedBy: user._id, reason, days: extraDays });
+  order.addTimelineEvent('extension_requested', { actor: user._id, role: 'seller', note: `${extraDays} days: ${reason}` });
+
+  await order.save();
+  return order.extensions[order.extensions.length - 1];
+};
+
+// Buyer approves (moving the due date, and those of unfinished milestones)
+// or declines an extension request
+export const respondToExtension = async (order, user, extensionId, { action, response }) => {
+  if (!order.buyer.equals(user._id)) {
+    throw new AppError('Only the buyer can respond to extensions', 403, 'ACCESS_DENIED');
+  }
+
+  const extension = order.extensions.id(extensionId);
+
+  if (!extension) {
+    throw new AppError('Extension not found', 404, 'EXTENSION_NOT_FOUND');
+  }
+
+  if (extension.status !== 'pending') {
+    throw new AppError('Extension has already been answered', 409, 'EXTENSION_NOT_PENDING');
+  }
+
+  if (!['approve', 'decline'].includes(action)) {
+    throw new AppError('Action must be approve or decline', 400, 'INVALID_ACTION');
+  }
+
+  extension.response = response;
+  extension.respondedAt = new Date();
+
+  if (action === 'decline') {
+    extension.status = 'declined';
+    order.addTimelineEvent('extension_declined', { actor: user._id, role: 'buyer', note: response });
+    await order.save();
+    return extension;
+  }
+
+  assertActive(order);
+
+  const shift = extension.days * DAY_MS;
+  extension.status = 'approved';
+  extension.previousDueDate = order.dates.dueDate;
+  extension.newDueDate = new Date(order.dates.dueDate.getTime() + shift);
+
+  order.dates.dueDate = extension.newDueDate;
+  if (order.dates.dueDate > new Date()) {
+    order.isLate = false;
+  }
+  order.milestones
+    .filter(m => ['pending', 'in_progress'].includes(m.status) && m.dueDate)
+    .forEach(m => { m.dueDate = new Date(m.dueDate.getTime() + shift); });
+
+  order.addTimelineEvent('extension_approved', {
+    actor: user._id,
+    role: 'buyer',
+    note: `Due date moved by ${extension.days} days`
+  });
+
+  await order.save();
+  return extension;
+};
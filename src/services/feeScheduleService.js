@@ -0,0 +1,112 @@
+import { FeeSchedule, User } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getDefaultFeeRates } from './pricingService.js';
+
+const EDITABLE_FIELDS = ['name', 'description', 'effectiveFrom', 'platformRate', 'serviceRate', 'serviceFixed', 'rules'];
+
+const pickEditable = (data = {}) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+const assertBand = (band, label) => {
+  if (band && band.min != null && band.max != null && Number(band.min) >= Number(band.max)) {
+    throw new AppError(`${label} band minimum must be below its maximum`, 400, 'INVALID_FEE_RULE');
+  }
+};
+
+const assertRules = (rules = []) => {
+  for (const rule of rules) {
+    assertBand(rule.sellerRating, 'Seller rating');
+    assertBand(rule.orderAmount, 'Order amount');
+
+    if (rule.startsAt && rule.endsAt && new Date(rule.startsAt) >= new Date(rule.endsAt)) {
+      throw new AppError('Rule promotional period must end after it starts', 400, 'INVALID_FEE_RULE');
+    }
+  }
+};
+
+// Schedules can only be published for the future so orders already priced
+// under an earlier schedule keep a consistent history
+const assertFutureEffectiveDate = (effectiveFrom, now = new Date()) => {
+  const date = new Date(effectiveFrom);
+
+  if (Number.isNaN(date.getTime()) || date <= now) {
+    throw new AppError('Effective date must be in the future', 400, 'INVALID_EFFECTIVE_DATE');
+  }
+};
+
+const assertEditable = (schedule) => {
+  if (schedule.isInEffect()) {
+    throw new AppError('Fee schedules cannot be changed once in effect; publish a new version', 409, 'FEE_SCHEDULE_LOCKED');
+  }
+};
+
+export const createFeeSchedule = async (admin, data) => {
+  if (!data.name || data.platformRate == null || !data.effectiveFrom) {
+    throw new AppError('Name, platform rate and effective date are required', 400, 'MISSING_FIELDS');
+  }
+
+  assertFutureEffectiveDate(data.effectiveFrom);
+  assertRules(data.rules);
+
+  return FeeSchedule.create({ ...pickEditable(data), createdBy: admin._id });
+};
+
+export const updateFeeSchedule = async (schedule, data) => {
+  assertEditable(schedule);
+
+  const updates = pickEditable(data);
+  if (updates.effectiveFrom) assertFutureEffectiveDate(updates.effectiveFrom);
+  if (updates.rules) assertRules(updates.rules);
+
+  schedule.set(updates);
+  await schedule.save();
+  return schedule;
+};
+
+export const deleteFeeSchedule = async (schedule) => {
+  assertEditable(schedule);
+  await schedule.deleteOne();
+};
+
+// Fee rates for a new order and the record of where they came from, stored
+// on the order so it is never repriced when the schedule changes. Order
+// amount bands are in the base currency; `baseRate` converts the subtotal.
+export const resolveOrderFees = async ({ category, sellerId, subtotal, baseRate = 1, at = new Date(), session }) => {
+  const schedule = await FeeSchedule.findEffective(at).session(session || null);
+
+  if (!schedule) {
+    const rates = getDefaultFeeRates();
+    return {
+      rates,
+      feeRule: {
+        ruleName: 'default',
+        platformRate: rates.platform,
+        serviceRate: rates.service,
+        serviceFixed: rates.serviceFixed
+      }
+    };
+  }
+
+  const seller = await User.findById(sellerId).select('sellerProfile.rating').session(session || null);
+  const rule = schedule.findRule({ category, sellerRating: seller?.sellerProfile?.rating, subtotal: subtotal * baseRate, at });
+
+  const rates = {
+    platform: rule?.platformRate ?? schedule.platformRate,
+    service: rule?.serviceRate ?? schedule.serviceRate,
+    serviceFixed: rule?.serviceFixed ?? schedule.serviceFixed
+  };
+
+  return {
+    rates,
+    feeRule: {
+      schedule: schedule._id,
+      version: schedule.version,
+      ruleId: rule?._id,
+      ruleName: rule?.name || 'default',
+      platformRate: rates.platform,
+      serviceRate: rates.service,
+      serviceFixed: rates.serviceFixed
+    }
+  };
+};
@@ -0,0 +1,283 @@
+import mongoose from 'mongoose';
+import { Gig, GigRevision } from '../models/index.js';
+import { MODERATED_PATHS } from '../models/Gig.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { notifyUsers } from './notificationService.js';
+import { LIVE_STATUSES, ensureBaselineRevision, getEditorRole, getWorkingContent } from './gigRevisionService.js';
+
+// Fields a seller sets on their gig; status, stats, ranking and moderation
+// fields only change through their own workflows. Admins may also feature
+// a gig.
+const EDITABLE_FIELDS = [...MODERATED_PATHS, 'seo'];
+const ADMIN_EDITABLE_FIELDS = [...EDITABLE_FIELDS, 'featured'];
+
+// Statuses a seller can submit a gig for review from
+const SUBMITTABLE_STATUSES = ['draft', 'rejected', 'changes_requested'];
+
+// Status changes allowed on update; everything else goes through review
+const STATUS_TOGGLES = {
+  active: 'paused',
+  paused: 'active'
+};
+
+const pickEditableFields = (data = {}, user) => {
+  const editable = user.role === 'admin' ? ADMIN_EDITABLE_FIELDS : EDITABLE_FIELDS;
+  return Object.fromEntries(Object.entries(data).filter(([field]) => editable.includes(field)));
+};
+
+// Moderated field values, ignoring subdocument ids so resending unchanged
+// packages or extras does not count as a change
+const getModeratedValues = (gig) => Object.fromEntries(MODERATED_PATHS.map(path => [
+  path,
+  JSON.stringify(gig.get(path), (key, value) => (key === '_id' ? undefined : value))
+]));
+
+const markSubmitted = (gig, seller, action, note) => {
+  gig.status = 'pending';
+  gig.submittedAt = new Date();
+  gig.rejectionReason = undefined;
+  gig.addModerationEntry(action, { actor: seller._id, role: 'seller', note });
+};
+
+// Save a gig together with a revision of its new content, or of `content`
+// (a pending edit's draft) when given
+const saveWithRevision = (gig, user, { action, changedFields, restoredFrom, content = gig }) => {
+  return mongoose.connection.transaction(async (session) => {
+    await gig.save({ session });
+    await GigRevision.record(content, {
+      action,
+      editor: user._id,
+      role: getEditorRole(user),
+      changedFields,
+      restoredFrom,
+      session
+    });
+  });
+};
+
+// Create a seller's gig as a draft, or submitted for review with
+// `status: 'pending'`; gigs only go live once approved
+export const createGig = async (seller, data) => {
+  const { status = 'draft' } = data;
+  const fields = pickEditableFields(data, seller);
+
+  if (!['draft', 'pending'].includes(status)) {
+    throw new AppError('New gigs are saved as drafts or submitted for review', 400, 'INVALID_STATUS');
+  }
+
+  const gig = new Gig({ ...fields, seller: seller._id, version: 1 });
+  if (status === 'pending') {
+    markSubmitted(gig, seller, 'submitted');
+  }
+
+  await saveWithRevision(gig, seller, { action: 'created', changedFields: MODERATED_PATHS });
+  return gig;
+};
+
+// A seller's edit to a live gig. SEO changes apply straight away; content
+// changes are recorded as a pending edit (building on any edit already
+// pending) and sent for review, while the gig keeps serving its live version.
+const proposeEdit = async (gig, user, { seo, ...content }, { restoredFrom }) => {
+  if (seo !== undefined) {
+    gig.set({ seo });
+  }
+
+  // Apply the edit to a copy of the gig at its working content
+  const draft = Gig.hydrate(gig.toObject());
+  draft.set(await getWorkingContent(gig));
+  const before = getModeratedValues(draft);
+  draft.set(content);
+  const after = getModeratedValues(draft);
+  const changed = MODERATED_PATHS.filter(path => before[path] !== after[path]);
+
+  if (!changed.length) {
+    await gig.save();
+    return { gig, changed, resubmitted: false };
+  }
+
+  await draft.validate();
+
+  gig.version += 1;
+  draft.version = gig.version;
+  gig.pendingEdit = { version: gig.version, status: 'pending' };
+  gig.submittedAt = new Date();
+  gig.rejectionReason = undefined;
+  gig.addModerationEntry('resubmitted', { actor: user._id, role: 'seller', note: `Changed ${changed.join(', ')}` });
+
+  await saveWithRevision(gig, user, {
+    action: restoredFrom ? 'restored' : 'updated',
+    changedFields: changed,
+    restoredFrom,
+    content: draft
+  });
+  return { gig, changed, resubmitted: true };
+};
+
+// Update a gig, recording a revision when its content changes (`restoredFrom`
+// marks a restore of that version). Sellers may pause and unpause an approved
+// gig; their edits to its moderated fields wait for review as a pending edit
+// (see proposeEdit). Returns the changed fields and whether the edit was
+// sent for review.
+export const updateGig = async (gig, user, data, { restoredFrom } = {}) => {
+  const { status } = data;
+  const fields = pickEditableFields(data, user);
+
+  await ensureBaselineRevision(gig);
+
+  if (status !== undefined && status !== gig.status) {
+    if (STATUS_TOGGLES[gig.status] !== status) {
+      throw new AppError(`A ${gig.status} gig cannot be set to ${status}`, 400, 'INVALID_STATUS');
+    }
+    gig.status = status;
+  }
+
+  if (LIVE_STATUSES.includes(gig.status) && user.role !== 'admin') {
+    return proposeEdit(gig, user, fields, { restoredFrom });
+  }
+
+  const before = getModeratedValues(gig);
+  gig.set(fields);
+  const after = getModeratedValues(gig);
+  const changed = MODERATED_PATHS.filter(path => before[path] !== after[path]);
+
+  if (!changed.length) {
+    await gig.save();
+    return { gig, changed, resubmitted: false };
+  }
+
+  // The pending edit was made against the content an admin edit would change
+  if (gig.pendingEdit?.version) {
+    throw new AppError('Review the pending edit to this gig first', 409, 'GIG_EDIT_PENDING');
+  }
+
+  // Gigs that are not live (or an admin's edits) change directly; a live
+  // gig's new version is the one buyers see
+  gig.version += 1;
+  if (LIVE_STATUSES.includes(gig.status)) {
+    gig.liveVersion = gig.version;
+  }
+
+  await saveWithRevision(gig, user, {
+    action: restoredFrom ? 'restored' : 'updated',
+    changedFields: changed,
+    restoredFrom
+  });
+  return { gig, changed, resubmitted: false };
+};
+
+// Seller submits a draft, rejected or changes-requested gig for review, or
+// resubmits a pending edit an admin asked changes to
+export const submitGigForReview = async (gig, seller) => {
+  if (gig.pendingEdit?.status === 'changes_requested') {
+    gig.pendingEdit.status = 'pending';
+    gig.submittedAt = new Date();
+    gig.addModerationEntry('resubmitted', { actor: seller._id, role: 'seller' });
+    await gig.save();
+    return gig;
+  }
+
+  if (!SUBMITTABLE_STATUSES.includes(gig.status)) {
+    throw new AppError(`A ${gig.status} gig cannot be submitted for review`, 409, 'GIG_NOT_SUBMITTABLE');
+  }
+
+  markSubmitted(gig, seller, gig.moderationHistory.length ? 'resubmitted' : 'submitted');
+  await gig.save();
+  return gig;
+};
+
+const findPendingGig = async (gigId) => {
+  const gig = await Gig.findById(gigId);
+
+  if (!gig) {
+    throw new AppError('Gig not found', 404, 'GIG_NOT_FOUND');
+  }
+
+  if (!gig.isAwaitingReview()) {
+    throw new AppError(`Gig is ${gig.status}, not pending review`, 409, 'GIG_NOT_PENDING');
+  }
+
+  return gig;
+};
+
+// Approve a pending gig, which goes live, or a pending edit, whose content
+// becomes the live version
+export const approveGig = async (gigId, admin, { note } = {}) => {
+  const gig = await findPendingGig(gigId);
+  const isEdit = gig.status !== 'pending';
+
+  if (isEdit) {
+    const revision = await GigRevision.findOne({ gig: gig._id, version: gig.pendingEdit.version });
+    gig.set(revision.content);
+    gig.liveVersion = revision.version;
+    gig.pendingEdit = undefined;
+  } else {
+    gig.status = 'active';
+    if (gig.version) {
+      gig.liveVersion = gig.version;
+    }
+  }
+  gig.approvedBy = admin._id;
+  gig.approvedAt = new Date();
+  gig.moderationNotes = note;
+  gig.addModerationEntry('approved', { actor: admin._id, role: 'admin', note });
+  await gig.save();
+
+  await notifyUsers([gig.seller], {
+    subject: `Your gig "${gig.title}" was approved`,
+    text: `${isEdit ? `Your changes to "${gig.title}" were approved and are now live.` : `Your gig "${gig.title}" was approved and is now live.`}${note ? `\n\nNote from the reviewer: ${note}` : ''}`
+  });
+  return gig;
+};
+
+// Reject a pending gig; the seller can edit and resubmit it
+export const rejectGig = async (gigId, admin, { reason } = {}) => {
+  if (!reason) {
+    throw new AppError('Rejection reason is required', 400, 'MISSING_FIELDS');
+  }
+
+  const gig = await findPendingGig(gigId);
+  const isEdit = gig.status !== 'pending';
+
+  // A rejected edit is dropped; the gig stays live at its approved version
+  if (isEdit) {
+    gig.pendingEdit = undefined;
+  } else {
+    gig.status = 'rejected';
+  }
+  gig.rejectionReason = reason;
+  gig.addModerationEntry('rejected', { actor: admin._id, role: 'admin', note: reason });
+  await gig.save();
+
+  await notifyUsers([gig.seller], {
+    subject: `Your gig "${gig.title}" was rejected`,
+    text: isEdit
+      ? `Your changes to "${gig.title}" were rejected: ${reason}\n\nThe gig stays live as it was. You can edit it again, or restore the rejected version from its revisions.`
+      : `Your gig "${gig.title}" was rejected: ${reason}\n\nYou can edit the gig and submit it for review again.`
+  });
+  return gig;
+};
+
+// Send a pending gig back to the seller with the changes needed
+export const requestGigChanges = async (gigId, admin, { notes } = {}) => {
+  if (!notes) {
+    throw new AppError('Requested changes are required', 400, 'MISSING_FIELDS');
+  }
+
+  const gig = await findPendingGig(gigId);
+
+  // A pending edit stays a draft for the seller to change; the gig stays live
+  if (gig.status === 'pending') {
+    gig.status = 'changes_requested';
+  } else {
+    gig.pendingEdit.status = 'changes_requested';
+  }
+  gig.moderationNotes = notes;
+  gig.addModerationEntry('changes_requested', { actor: admin._id, role: 'admin', note: notes });
+  await gig.save();
+
+  await notifyUsers([gig.seller], {
+    subject: `Changes requested for your gig "${gig.title}"`,
+    text: `A reviewer asked for changes to your gig "${gig.title}":\n\n${notes}\n\nSubmit the gig for review again once it is updated.`
+  });
+  return gig;
+};
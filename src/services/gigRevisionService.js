@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import { Gig, GigRevision } from '../models/index.js';
+import { getGigContent, diffGigContent } from '../models/GigRevision.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Statuses in which a gig's current version is the one buyers see
+export const LIVE_STATUSES = ['active', 'paused'];
+
+export const getEditorRole = (user) => (user.role === 'admin' ? 'admin' : 'seller');
+
+// Record a gig's current content as version 1 if it has no revisions yet
+// (gigs created before revisions were kept). The version is claimed with a
+// conditional update, so concurrent callers record the baseline only once;
+// a caller that loses the claim picks up the gig's current versions instead.
+// Returns the new revision.
+export const ensureBaselineRevision = async (gig, { session } = {}) => {
+  if (gig.version > 0) return null;
+
+  const versions = { version: 1, ...(LIVE_STATUSES.includes(gig.status) && { liveVersion: 1 }) };
+
+  const persist = async (txSession) => {
+    const claimed = await Gig.findOneAndUpdate(
+      { _id: gig._id, version: 0 },
+      { $set: versions },
+      { new: true, session: txSession }
+    ).select('_id');
+
+    if (!claimed) {
+      const current = await Gig.findById(gig._id).select('version liveVersion').session(txSession);
+      gig.set({ version: current.version, liveVersion: current.liveVersion });
+      return null;
+    }
+
+    gig.set(versions);
+    return GigRevision.record(gig, { action: 'created', role: 'system', session: txSession });
+  };
+
+  return session ? persist(session) : mongoose.connection.transaction(persist);
+};
+
+// The revision holding the content buyers are served (the live version),
+// referenced by each new order
+export const getServedRevision = async (gig, { session } = {}) => {
+  const baseline = await ensureBaselineRevision(gig, { session });
+  if (baseline) return baseline;
+
+  return GigRevision.findOne({ gig: gig._id, version: gig.liveVersion ?? gig.version }).session(session || null);
+};
+
+// The content a seller's next edit starts from: their pending edit if there
+// is one, otherwise the gig's own content
+export const getWorkingContent = async (gig) => {
+  if (!gig.pendingEdit?.version) return getGigContent(gig);
+
+  const revision = await GigRevision.findOne({ gig: gig._id, version: gig.pendingEdit.version }).select('content');
+  return revision.content;
+};
+
+export const getGigRevision = async (gig, version) => {
+  const revision = await GigRevision.findOne({ gig: gig._id, version: parseInt(version) })
+    .populate('editor', 'username displayName');
+
+  if (!revision) {
+    throw new AppError('Gig revision not found', 404, 'REVISION_NOT_FOUND');
+  }
+
+  return revision;
+};
+
+// Field-level changes from one revision to another; against the previous
+// version when `from` is not given
+export const diffGigRevisions = async (revision, from) => {
+  const base = from ?? revision.version - 1;
+  const previous = base > 0
+    ? await GigRevision.findOne({ gig: revision.gig, version: base }).select('version content')
+    : null;
+
+  if (from != null && !previous) {
+    throw new AppError('Gig revision not found', 404, 'REVISION_NOT_FOUND');
+  }
+
+  return {
+    from: previous?.version ?? null,
+    to: revision.version,
+    changes: diffGigContent(previous?.content, revision.content)
+  };
+};
@@ -0,0 +1,179 @@
+import { Gig, SearchSuggestion, SearchTerm } from '../models/index.js';
+import { RATING_BOUNDARIES } from '../models/GigSearchDocument.js';
+import { normalizeSearchText } from '../models/SearchSuggestion.js';
+import { getSearchRanking } from '../config/searchRanking.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getBaseCurrency } from '../config/currencies.js';
+import { getExchangeRate, getCurrencyConverter } from './currencyService.js';
+
+// Price facet buckets in the base currency; scaled into the search currency
+const PRICE_BOUNDARIES = [0, 25, 50, 100, 250, 500, 1000];
+
+// Round to two significant figures so scaled buckets stay readable
+const roundBoundary = (value) => {
+  if (value <= 0) return 0;
+  const magnitude = 10 ** (Math.floor(Math.log10(value)) - 1);
+  return Math.round(value / magnitude) * magnitude;
+};
+
+const parseNumber = (value, name, { min = 0 } = {}) => {
+  if (value === undefined || value === '') return undefined;
+
+  const number = parseFloat(value);
+  if (Number.isNaN(number) || number < min) {
+    throw new AppError(`${name} must be a number of at least ${min}`, 400, 'INVALID_FILTER');
+  }
+  return number;
+};
+
+// Case-insensitive exact match for free-text profile fields
+const exactMatch = (value) => value && new RegExp(`^${String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+// Search filters from query string parameters
+export const parseSearchFilters = (query) => {
+  const filters = {
+    category: query.category,
+    rating: parseNumber(query.rating, 'rating'),
+    minPrice: parseNumber(query.minPrice, 'minPrice'),
+    maxPrice: parseNumber(query.maxPrice, 'maxPrice'),
+    maxDeliveryDays: parseNumber(query.maxDeliveryDays ?? query.deliveryTime, 'maxDeliveryDays', { min: 1 }),
+    sellerCountry: exactMatch(query.sellerCountry),
+    language: exactMatch(query.language),
+    minFollowers: parseNumber(query.minFollowers, 'minFollowers'),
+    maxFollowers: parseNumber(query.maxFollowers, 'maxFollowers'),
+    verifiedSeller: query.verifiedSeller === 'true'
+  };
+
+  if (filters.minPrice != null && filters.maxPrice != null && filters.minPrice > filters.maxPrice) {
+    throw new AppError('minPrice cannot be greater than maxPrice', 400, 'INVALID_FILTER');
+  }
+
+  return filters;
+};
+
+const formatBuckets = (buckets, boundaries) => buckets
+  .filter(bucket => bucket._id !== 'other')
+  .map(bucket => {
+    const next = boundaries[boundaries.indexOf(bucket._id) + 1];
+    return {
+      min: bucket._id,
+      max: next === Number.MAX_SAFE_INTEGER ? null : next,
+      count: bucket.count
+    };
+  });
+
+// Search active gigs in the search index with filters and facets, ranked by
+// relevance unless `sort` is given. Prices (filters, sorting and buckets)
+// are in `currency`, converting each gig's starting price at the current
+// rates; defaults to the base currency. With `explain` each result's ranking
+// components are returned too.
+export const searchGigs = async ({ q, filters = {}, sort, skip, limit, currency, explain = false }) => {
+  const priceCurrency = currency || getBaseCurrency();
+  const [convertPrice, rate] = await Promise.all([
+    getCurrencyConverter(priceCurrency),
+    getExchangeRate(getBaseCurrency(), priceCurrency)
+  ]);
+
+  const priceBoundaries = [
+    ...new Set(PRICE_BOUNDARIES.map(boundary => roundBoundary(boundary * rate)))
+  ].concat(Number.MAX_SAFE_INTEGER);
+
+  const [result] = await Gig.searchGigs(q, filters, {
+    sort,
+    skip,
+    limit,
+    priceBoundaries,
+    priceExpression: convertPrice
+  });
+
+  // Load the gigs in ranked order; any deleted since they were indexed are skipped
+  const found = await Gig.find({ _id: { $in: result.results.map(r => r.gig) } })
+    .populate('seller', 'username displayName avatar sellerProfile.rating');
+  const gigs = result.results
+    .map(r => found.find(gig => gig._id.equals(r.gig)))
+    .filter(Boolean);
+
+  return {
+    gigs,
+    total: result.total[0]?.count || 0,
+    ...(explain && {
+      explain: {
+        ...getSearchRanking(),
+        results: result.results.map(({ gig, score, ranking }) => ({ gig, score, ranking }))
+      }
+    }),
+    facets: {
+      currency: priceCurrency,
+      categories: result.categories.map(({ _id, count }) => ({ category: _id, count })),
+      prices: formatBuckets(result.prices, priceBoundaries),
+      ratings: formatBuckets(result.ratings, RATING_BOUNDARIES).map(bucket => ({
+        ...bucket,
+        max: Math.min(bucket.max, 5)
+      }))
+    }
+  };
+};
+
+// Typos tolerated in a suggestion query of this length
+const getMaxTypos = (length) => (length < 4 ? 0 : length < 8 ? 1 : 2);
+
+// Edit distance between `query` and the closest prefix of `text`
+const prefixDistance = (query, text) => {
+  const target = text.slice(0, query.length + getMaxTypos(query.length));
+  let previous = Array.from({ length: target.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= query.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= target.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (query[i - 1] === target[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return Math.min(...previous);
+};
+
+// Closest match of the query against the start of any word of the text
+const matchDistance = (query, text) => {
+  let distance = prefixDistance(query, text);
+  for (let i = text.indexOf(' '); i !== -1 && distance > 0; i = text.indexOf(' ', i + 1)) {
+    distance = Math.min(distance, prefixDistance(query, text.slice(i + 1)));
+  }
+  return distance;
+};
+
+// Autocomplete suggestions for a partial query from gig titles, tags,
+// subcategories, seller usernames and popular searches. Matches within a
+// few typos of a word's start, closest first, then most popular.
+export const suggestSearches = async (q, { limit = 10 } = {}) => {
+  const query = normalizeSearchText(q);
+  if (!query) return [];
+
+  const maxTypos = getMaxTypos(query.length);
+  const candidates = await SearchSuggestion.findCandidates(query);
+  const seen = new Set();
+
+  return candidates
+    .map(candidate => ({ ...candidate, distance: matchDistance(query, candidate.normalized) }))
+    .filter(candidate => candidate.distance <= maxTypos)
+    .sort((a, b) => a.distance - b.distance || b.popularity - a.popularity)
+    .filter(candidate => !seen.has(candidate.normalized) && seen.add(candidate.normalized))
+    .slice(0, limit)
+    .map(({ text, type, popularity }) => ({ text, type, popularity }));
+};
+
+// Count a search towards popular searches; a failure here should not fail
+// the search itself
+export const recordSearchTerm = async (q, resultCount) => {
+  if (!q) return;
+
+  try {
+    await SearchTerm.record(q, resultCount);
+  } catch (error) {
+    console.error('Failed to record search term:', error.message);
+  }
+};
@@ -0,0 +1,310 @@
+import PDFDocument from 'pdfkit';
+import { Counter, Invoice, User } from '../models/index.js';
+import { roundAmount } from './pricingService.js';
+
+const NUMBER_PREFIXES = { invoice: 'INV', credit_note: 'CN' };
+const TITLES = { invoice: 'Invoice', credit_note: 'Credit Note' };
+
+// The platform as the issuing party. Read at call time - environment
+// variables are loaded after module imports.
+const getInvoiceIssuer = () => ({
+  name: process.env.INVOICE_ISSUER_NAME || 'Socyads',
+  email: process.env.INVOICE_ISSUER_EMAIL,
+  address: process.env.INVOICE_ISSUER_ADDRESS,
+  taxId: process.env.INVOICE_ISSUER_TAX_ID
+});
+
+// Sequential per type and year, e.g. INV-2026-000042
+const nextInvoiceNumber = async (type, { session, now = new Date() }) => {
+  const year = now.getUTCFullYear();
+  const seq = await Counter.next(`${type}-${year}`, { session });
+  return `${NUMBER_PREFIXES[type]}-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+const formatAddress = (address = {}) =>
+  [address.line1, address.line2, address.city, address.state, address.postalCode, address.country]
+    .filter(Boolean)
+    .join(', ') || undefined;
+
+const snapshotParty = (user, { company } = {}) => ({
+  user: user._id,
+  name: user.fullName,
+  email: user.email,
+  company: company || user.taxProfile?.legalName,
+  address: formatAddress(user.taxProfile?.billingAddress),
+  taxId: user.taxProfile?.taxId
+});
+
+const PARTY_FIELDS = 'username displayName firstName lastName email taxProfile';
+
+const loadParties = async (order, session) => {
+  const [buyer, seller] = await Promise.all([
+    User.findById(order.buyer).select(`${PARTY_FIELDS} buyerProfile.company`).session(session || null),
+    User.findById(order.seller).select(PARTY_FIELDS).session(session || null)
+  ]);
+
+  return {
+    buyer: buyer ? snapshotParty(buyer, { company: buyer.buyerProfile?.company }) : { user: order.buyer },
+    seller: seller ? snapshotParty(seller) : { user: order.seller }
+  };
+};
+
+// The taxes the buyer pays, from the order's tax breakdown. Reverse-charged
+// supplies are listed at zero with the reverse charge note.
+const buildTaxLines = (order) => (order.tax?.lines || [])
+  .filter(line => line.paidBy === 'buyer')
+  .map(line => ({
+    name: line.kind === 'buyer_fees' ? `${line.name} on fees` : line.name,
+    rate: line.rate,
+    taxableAmount: line.taxableAmount,
+    amount: line.amount,
+    note: line.note
+  }));
+
+// What the buyer paid for: the package, extras, coupon discount and the
+// buyer-side fees. The platform fee is deducted from the seller and is not
+// on the buyer's invoice.
+const buildOrderLineItems = (order) => {
+  const { amount } = order;
+  const extrasTotal = (order.extras || []).reduce((sum, extra) => sum + extra.price, 0);
+  const packagePrice = roundAmount(amount.subtotal - extrasTotal);
+  const packageName = order.package === 'custom' ? 'Custom offer' : `${order.package} package`;
+
+  const items = [
+    {
+      kind: 'package',
+      description: `${order.gigTitle || order.packageDetails?.title} - ${packageName}`,
+      unitPrice: packagePrice,
+      amount: packagePrice
+    },
+    ...(order.extras || []).map(extra => ({
+      kind: 'extra',
+      description: `Extra: ${extra.title}`,
+      unitPrice: extra.price,
+      amount: extra.price
+    }))
+  ];
+
+  if (amount.discount > 0) {
+    items.push({
+      kind: 'discount',
+      description: `Coupon ${order.coupon?.code || ''}`.trim(),
+      unitPrice: -amount.discount,
+      amount: -amount.discount
+    });
+  }
+
+  if (amount.fees?.service > 0) {
+    items.push({ kind: 'fee', description: 'Service fee', unitPrice: amount.fees.service, amount: amount.fees.service });
+  }
+
+  if (amount.fees?.payment > 0) {
+    items.push({ kind: 'fee', description: 'Payment processing fee', unitPrice: amount.fees.payment, amount: amount.fees.payment });
+  }
+
+  return items;
+};
+
+const sumAmounts = (lines) => roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+
+// Issue the invoice for a paid order (once per order)
+export const issueOrderInvoice = async (order, { session } = {}) => {
+  const existing = await Invoice.findOne({ order: order._id, type: 'invoice' }).session(session || null);
+  if (existing) return existing;
+
+  const lineItems = buildOrderLineItems(order);
+  const taxLines = buildTaxLines(order);
+  const subtotal = sumAmounts(lineItems);
+  const taxTotal = sumAmounts(taxLines);
+
+  const [invoice] = await Invoice.create([{
+    invoiceNumber: await nextInvoiceNumber('invoice', { session }),
+    type: 'invoice',
+    order: order._id,
+    orderId: order.orderId,
+    issuer: getInvoiceIssuer(),
+    ...await loadParties(order, session),
+    currency: order.currency,
+    lineItems,
+    subtotal,
+    taxLines,
+    taxTotal,
+    total: roundAmount(subtotal + taxTotal),
+    providerReference: order.payment?.transactionId
+  }], { session });
+
+  return invoice;
+};
+
+// Issue a credit note for a refund of `amount` (tax included) on an order.
+// The invoiced tax is credited in proportion to the refund.
+export const issueCreditNote = async (order, { amount, providerReference, session } = {}) => {
+  const original = await Invoice.findOne({ order: order._id, type: 'invoice' }).session(session || null);
+  const value = roundAmount(amount);
+  const share = original?.total > 0 ? Math.min(1, value / original.total) : 0;
+
+  const taxLines = (original?.taxLines || []).map(tax => ({
+    name: tax.name,
+    rate: tax.rate,
+    taxableAmount: -roundAmount(tax.taxableAmount * share),
+    amount: -roundAmount(tax.amount * share),
+    note: tax.note
+  }));
+  const taxTotal = sumAmounts(taxLines);
+  const subtotal = roundAmount(-value - taxTotal);
+
+  const lineItems = [{
+    kind: 'refund',
+    description: `Refund for order ${order.orderId}`,
+    unitPrice: subtotal,
+    amount: subtotal
+  }];
+
+  const [creditNote] = await Invoice.create([{
+    invoiceNumber: await nextInvoiceNumber('credit_note', { session }),
+    type: 'credit_note',
+    order: order._id,
+    orderId: order.orderId,
+    relatedInvoice: original?._id,
+    issuer: original?.issuer || getInvoiceIssuer(),
+    ...(original ? { buyer: original.buyer, seller: original.seller } : await loadParties(order, session)),
+    currency: order.currency,
+    lineItems,
+    subtotal,
+    taxLines,
+    taxTotal,
+    total: -value,
+    providerReference
+  }], { session });
+
+  return creditNote;
+};
+
+// Rendering
+
+const formatMoney = (value, currency) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(value);
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const partyLines = (party = {}) => [
+  party.company,
+  party.name,
+  party.address,
+  party.email,
+  party.taxId && `Tax ID: ${party.taxId}`
+].filter(Boolean);
+
+export const renderInvoiceHtml = (invoice) => {
+  const money = (value) => escapeHtml(formatMoney(value, invoice.currency));
+  const party = (label, data) => `
+      <div class="party">
+        <h3>${label}</h3>
+        ${partyLines(data).map(line => `<div>${escapeHtml(line)}</div>`).join('')}
+      </div>`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${TITLES[invoice.type]} ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 800px; margin: 40px auto; }
+    .parties { display: flex; gap: 40px; margin: 24px 0; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    .total td { font-weight: bold; border-bottom: none; }
+  </style>
+</head>
+<body>
+  <h1>${TITLES[invoice.type]}</h1>
+  <div>Number: ${escapeHtml(invoice.invoiceNumber)}</div>
+  <div>Date: ${formatDate(invoice.issuedAt)}</div>
+  <div>Order: ${escapeHtml(invoice.orderId)}</div>
+  <div class="parties">
+    ${party('From', invoice.issuer)}
+    ${party('Bill to', invoice.buyer)}
+    ${party('Seller', invoice.seller)}
+  </div>
+  <table>
+    <thead>
+      <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>
+      ${invoice.lineItems.map(item => `<tr><td>${escapeHtml(item.description)}</td><td class="num">${item.quantity}</td><td class="num">${money(item.unitPrice)}</td><td class="num">${money(item.amount)}</td></tr>`).join('\n      ')}
+      <tr><td colspan="3" class="num">Subtotal</td><td class="num">${money(invoice.subtotal)}</td></tr>
+      ${invoice.taxLines.map(tax => `<tr><td colspan="3" class="num">${escapeHtml(tax.name)}${tax.note ? ` (${escapeHtml(tax.note)})` : ''}</td><td class="num">${money(tax.amount)}</td></tr>`).join('\n      ')}
+      <tr class="total"><td colspan="3" class="num">Total</td><td class="num">${money(invoice.total)}</td></tr>
+    </tbody>
+  </table>
+</body>
+</html>`;
+};
+
+export const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const money = (value) => formatMoney(value, invoice.currency);
+  const columns = { description: 50, quantity: 330, unitPrice: 380, amount: 470 };
+  const right = (text, x, y, width) => doc.text(text, x, y, { width, align: 'right' });
+
+  doc.fontSize(20).text(TITLES[invoice.type], 50, 50);
+  doc.fontSize(10)
+    .text(`Number: ${invoice.invoiceNumber}`, 50, 80)
+    .text(`Date: ${formatDate(invoice.issuedAt)}`)
+    .text(`Order: ${invoice.orderId}`);
+
+  // Parties
+  [['From', invoice.issuer, 50], ['Bill to', invoice.buyer, 230], ['Seller', invoice.seller, 410]].forEach(([label, party, x]) => {
+    doc.font('Helvetica-Bold').text(label, x, 140, { width: 160 });
+    doc.font('Helvetica');
+    partyLines(party).forEach(line => doc.text(line, { width: 160 }));
+  });
+
+  // Line items
+  let y = 240;
+  doc.font('Helvetica-Bold');
+  doc.text('Description', columns.description, y);
+  right('Qty', columns.quantity, y, 40);
+  right('Unit price', columns.unitPrice, y, 80);
+  right('Amount', columns.amount, y, 75);
+  doc.font('Helvetica');
+  y += 20;
+
+  for (const item of invoice.lineItems) {
+    doc.text(item.description, columns.description, y, { width: 270 });
+    right(String(item.quantity), columns.quantity, y, 40);
+    right(money(item.unitPrice), columns.unitPrice, y, 80);
+    right(money(item.amount), columns.amount, y, 75);
+    y = Math.max(doc.y, y + 15) + 5;
+  }
+
+  // Totals
+  y += 10;
+  const totalLine = (label, value) => {
+    right(label, columns.quantity, y, 130);
+    right(money(value), columns.amount, y, 75);
+    y += 18;
+  };
+
+  totalLine('Subtotal', invoice.subtotal);
+  invoice.taxLines.forEach(tax => totalLine(tax.name, tax.amount));
+  doc.font('Helvetica-Bold');
+  totalLine('Total', invoice.total);
+
+  const notes = invoice.taxLines.filter(tax => tax.note).map(tax => tax.note);
+  if (notes.length) {
+    doc.font('Helvetica').text(notes.join('\n'), 50, y + 20, { width: 495 });
+  }
+
+  doc.end();
+});
@@ -0,0 +1,305 @@
+import { LedgerEntry, User } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getPaymentProvider } from './payments/index.js';
+import { roundAmount } from './pricingService.js';
+import { issueOrderInvoice, issueCreditNote } from './invoiceService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days released earnings stay in pending clearance before they can be withdrawn
+export const getClearanceDays = () => {
+  const days = parseInt(process.env.WALLET_CLEARANCE_DAYS);
+  return Number.isNaN(days) || days < 0 ? 14 : days;
+};
+
+// Recompute a user's denormalized money totals from the ledger
+export const syncUserTotals = async (userId, { session } = {}) => {
+  const totals = await LedgerEntry.getUserTotals(userId, { session });
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        'sellerProfile.totalEarnings': totals.totalEarnings,
+        'buyerProfile.totalSpent': totals.totalSpent
+      }
+    },
+    { session }
+  );
+  return totals;
+};
+
+// Charge the buyer through the payment provider. Charges run before the
+// transaction that records them, so a retried transaction never charges
+// again; the caller builds the key once per request.
+const chargeBuyer = async ({ buyer, amount, currency, source, idempotencyKey, metadata }) => {
+  const provider = getPaymentProvider();
+  const charge = await provider.charge({
+    amount,
+    currency,
+    source,
+    customer: buyer.toString(),
+    idempotencyKey,
+    metadata
+  });
+
+  if (!charge.success) {
+    throw new AppError(charge.error || 'Payment failed', 402, 'PAYMENT_FAILED');
+  }
+
+  return { amount, currency, idempotencyKey, provider: provider.name, reference: charge.data.reference };
+};
+
+// Charge the buyer for a new order, keyed on the order ID
+export const chargeOrder = ({ orderId, buyer, amount, currency, source }) => {
+  return chargeBuyer({
+    buyer: buyer._id,
+    amount,
+    currency,
+    source,
+    idempotencyKey: `${orderId}-charge`,
+    metadata: { orderId }
+  });
+};
+
+// Charge the buyer for a tip on an order
+export const chargeTip = (order, { amount, source, idempotencyKey }) => {
+  return chargeBuyer({
+    buyer: order.buyer,
+    amount,
+    currency: order.currency,
+    source,
+    idempotencyKey,
+    metadata: { orderId: order.orderId, type: 'tip' }
+  });
+};
+
+// Refund a charge whose transaction failed, so it was never recorded.
+// Failures are logged with the charge reference for a manual refund; the
+// caller rethrows its own error.
+export const reverseCharge = async (charge) => {
+  const provider = getPaymentProvider(charge.provider);
+  const refund = await provider.refund({
+    chargeReference: charge.reference,
+    amount: charge.amount,
+    currency: charge.currency,
+    idempotencyKey: `${charge.idempotencyKey}-reversal`
+  });
+
+  if (!refund.success) {
+    console.error(`Failed to reverse charge ${charge.reference} (${charge.idempotencyKey}):`, refund.error);
+  }
+  return refund;
+};
+
+// Hold a new order's charge (from chargeOrder) in escrow and issue the order
+// invoice
+export const holdOrderFunds = async (order, { charge, session } = {}) => {
+  if (await LedgerEntry.hasEntry(order._id, 'escrow_hold', { session })) {
+    return order;
+  }
+
+  const total = order.amount.total;
+
+  // Gig orders are priced again inside the transaction, so the total can
+  // drift from what was charged (e.g. an exchange rate refresh)
+  if (charge.amount !== total || charge.currency !== order.currency) {
+    throw new AppError('The order price changed during checkout, please try again', 409, 'PRICE_CHANGED');
+  }
+
+  const base = {
+    order: order._id,
+    currency: order.currency,
+    provider: charge.provider,
+    providerReference: charge.reference
+  };
+
+  await LedgerEntry.postJournal([
+    { ...base, type: 'buyer_charge', account: 'provider', direction: 'debit', amount: total },
+    { ...base, type: 'buyer_charge', account: 'buyer', user: order.buyer, direction: 'credit', amount: total }
+  ], { session });
+
+  await LedgerEntry.postJournal([
+    { ...base, type: 'escrow_hold', account: 'buyer', user: order.buyer, direction: 'debit', amount: total },
+    { ...base, type: 'escrow_hold', account: 'escrow', direction: 'credit', amount: total }
+  ], { session });
+
+  order.payment.method = order.payment.method || 'card';
+  order.payment.provider = charge.provider;
+  order.payment.transactionId = charge.reference;
+  order.payment.status = 'completed';
+  order.payment.escrowStatus = 'held';
+  order.payment.paidAt = new Date();
+
+  await syncUserTotals(order.buyer, { session });
+  await issueOrderInvoice(order, { session });
+  return order;
+};
+
+// Record a tip charged with chargeTip and credit it to the seller in full,
+// with no platform fee. Tips skip escrow but still go through clearance.
+export const recordTip = async (order, { charge, session } = {}) => {
+  const { amount } = charge;
+  const base = {
+    type: 'tip',
+    order: order._id,
+    currency: order.currency,
+    provider: charge.provider,
+    providerReference: charge.reference
+  };
+
+  await LedgerEntry.postJournal([
+    { ...base, account: 'provider', direction: 'debit', amount },
+    { ...base, account: 'buyer', user: order.buyer, direction: 'credit', amount }
+  ], { session });
+
+  await LedgerEntry.postJournal([
+    { ...base, account: 'buyer', user: order.buyer, direction: 'debit', amount },
+    {
+      ...base,
+      account: 'seller',
+      user: order.seller,
+      direction: 'credit',
+      amount,
+      memo: `Tip for order ${order.orderId}`,
+      availableAt: new Date(Date.now() + getClearanceDays() * DAY_MS)
+    }
+  ], { session });
+
+  await syncUserTotals(order.buyer, { session });
+  await syncUserTotals(order.seller, { session });
+};
+
+// Release escrowed funds to the seller's balance and the platform, split
+// in proportion to the order's seller earnings. Without an amount, whatever
+// is left in escrow is released. Balances are read from the ledger rather
+// than order fields so a retried transaction sees the committed state.
+export const releaseOrderFunds = async (order, { amount, memo, session } = {}) => {
+  const balances = await LedgerEntry.getOrderBalances(order._id, { session });
+  const value = amount == null ? balances.escrow : Math.min(roundAmount(amount), balances.escrow);
+
+  if (value <= 0) {
+    return order;
+  }
+
+  const sellerShare = roundAmount(value * (order.sellerEarnings || 0) / order.amount.total);
+  const platformShare = roundAmount(value - sellerShare);
+  const base = { order: order._id, currency: order.currency, memo };
+
+  await LedgerEntry.postJournal([
+    { ...base, type: 'seller_release', account: 'escrow', direction: 'debit', amount: value },
+    {
+      ...base,
+      type: 'seller_release',
+      account: 'seller',
+      user: order.seller,
+      direction: 'credit',
+      amount: sellerShare,
+      availableAt: new Date(Date.now() + getClearanceDays() * DAY_MS)
+    },
+    // A platform-funded coupon can pay the seller more than the buyer was
+    // charged; the platform covers the difference as a promotion cost
+    platformShare >= 0
+      ? { ...base, type: 'platform_fee', account: 'platform', direction: 'credit', amount: platformShare }
+      : { ...base, type: 'promotion', account: 'platform', direction: 'debit', amount: -platformShare }
+  ], { session });
+
+  order.payment.escrowStatus = value < balances.escrow ? 'partially_released' : 'released';
+  order.payment.releasedAt = new Date();
+
+  await syncUserTotals(order.seller, { session });
+  return order;
+};
+
+// Return funds to the buyer through the payment provider, ahead of the
+// transaction that records it with recordRefund. Without an amount,
+// everything left in escrow is refunded; includeReleased also claws back
+// what was already released to the seller and the platform. The key is the
+// amount refunded so far, so a refund whose transaction failed is replayed
+// by the provider rather than paid twice. Resolves to null when there is
+// nothing to refund.
+export const issueRefund = async (order, { amount, includeReleased = false } = {}) => {
+  const balances = await LedgerEntry.getOrderBalances(order._id);
+  const fromEscrow = amount == null ? balances.escrow : Math.min(roundAmount(amount), balances.escrow);
+  const fromSeller = includeReleased ? Math.max(0, balances.seller) : 0;
+  // Negative when the platform subsidised the order; clawing back then returns the subsidy
+  const fromPlatform = includeReleased ? balances.platform : 0;
+  const total = roundAmount(fromEscrow + fromSeller + fromPlatform);
+
+  if (total <= 0) {
+    return null;
+  }
+
+  const provider = getPaymentProvider(order.payment.provider);
+  const refund = await provider.refund({
+    chargeReference: order.payment.transactionId,
+    amount: total,
+    currency: order.currency,
+    idempotencyKey: `${order.orderId}-refund-${Math.round(balances.refunded * 100)}`
+  });
+
+  if (!refund.success) {
+    throw new AppError(refund.error || 'Refund failed', 502, 'REFUND_FAILED');
+  }
+
+  return {
+    fromEscrow,
+    fromSeller,
+    fromPlatform,
+    total,
+    refundedBefore: balances.refunded,
+    provider: provider.name,
+    reference: refund.data.reference
+  };
+};
+
+// Record a refund from issueRefund on the ledger and the order, with a
+// credit note. Does nothing for a null refund.
+export const recordRefund = async (order, refund, { session } = {}) => {
+  if (!refund) {
+    return order;
+  }
+
+  const { fromEscrow, fromSeller, fromPlatform, total } = refund;
+  const balances = await LedgerEntry.getOrderBalances(order._id, { session });
+
+  // Another refund was recorded since this one was issued (it was replayed
+  // by the provider under the same key)
+  if (balances.refunded !== refund.refundedBefore) {
+    throw new AppError('This order was refunded by another request', 409, 'REFUND_CONFLICT');
+  }
+
+  const base = {
+    type: 'refund',
+    order: order._id,
+    currency: order.currency,
+    provider: refund.provider,
+    providerReference: refund.reference
+  };
+
+  await LedgerEntry.postJournal([
+    { ...base, account: 'escrow', direction: 'debit', amount: fromEscrow },
+    { ...base, account: 'seller', user: order.seller, direction: 'debit', amount: fromSeller },
+    { ...base, account: 'platform', direction: fromPlatform >= 0 ? 'debit' : 'credit', amount: Math.abs(fromPlatform) },
+    { ...base, account: 'buyer', user: order.buyer, direction: 'credit', amount: total },
+    { ...base, account: 'buyer', user: order.buyer, direction: 'debit', amount: total },
+    { ...base, account: 'provider', direction: 'credit', amount: total }
+  ], { session });
+
+  const refundedTotal = roundAmount(balances.refunded + total);
+  const fullyRefunded = refundedTotal >= order.amount.total;
+
+  order.payment.refundedAt = new Date();
+  order.payment.refundAmount = refundedTotal;
+  if (fullyRefunded) {
+    order.payment.status = 'refunded';
+    order.payment.escrowStatus = 'refunded';
+  }
+
+  await syncUserTotals(order.buyer, { session });
+  if (fromSeller > 0) {
+    await syncUserTotals(order.seller, { session });
+  }
+
+  await issueCreditNote(order, { amount: total, providerReference: refund.reference, session });
+  return order;
+};
@@ -0,0 +1,228 @@
+import mongoose from 'mongoose';
+import { AppError } from '../middleware/errorHandler.js';
+import { roundAmount } from './pricingService.js';
+import { releaseOrderFunds } from './ledgerService.js';
+import { transitionOrder } from './orderService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const findMilestone = (order, milestoneId) => {
+  const milestone = order.milestones.id(milestoneId);
+  if (!milestone) {
+    throw new AppError('Milestone not found', 404, 'MILESTONE_NOT_FOUND');
+  }
+  return milestone;
+};
+
+const assertMilestoneStatus = (milestone, status) => {
+  if (milestone.status !== status) {
+    throw new AppError(`Milestone is ${milestone.status}, expected ${status}`, 409, 'INVALID_MILESTONE_STATUS');
+  }
+};
+
+// Order statuses in which milestones can be delivered, approved or sent back;
+// disputes and cancellations settle the escrow instead
+const MILESTONE_ORDER_STATUSES = ['in_progress', 'delivered', 'revision_requested', 'revision_delivered'];
+
+const assertMilestoneOrderStatus = (order, statuses = MILESTONE_ORDER_STATUSES) => {
+  if (!statuses.includes(order.status)) {
+    throw new AppError(`Milestones cannot be changed while the order is ${order.status}`, 409, 'INVALID_STATUS_TRANSITION');
+  }
+
+  if (['requested', 'escalated'].includes(order.cancellation?.status)) {
+    throw new AppError('Milestones cannot be changed while a cancellation request is open', 409, 'CANCELLATION_PENDING');
+  }
+};
+
+// Milestones still to be approved, excluding the one given
+const remainingMilestones = (order, exceptId) => order.milestones.filter(m =>
+  !m._id.equals(exceptId) && !['completed', 'cancelled'].includes(m.status)
+);
+
+// Validate a milestone plan. Amounts split the order price (subtotal) and
+// must add up to it exactly; buyer-side fees are apportioned on release.
+export const buildMilestones = (milestones, subtotal, { now = new Date() } = {}) => {
+  if (!Array.isArray(milestones) || milestones.length === 0) {
+    throw new AppError('At least one milestone is required', 400, 'MISSING_FIELDS');
+  }
+
+  const built = milestones.map((m, index) => {
+    const amount = roundAmount(parseFloat(m.amount));
+
+    if (!m.title || !amount || amount <= 0) {
+      throw new AppError(`Milestone ${index + 1} needs a title and a positive amount`, 400, 'INVALID_MILESTONE');
+    }
+
+    const dueDate = m.dueDate
+      ? new Date(m.dueDate)
+      : new Date(now.getTime() + (parseInt(m.dueInDays) || 0) * DAY_MS);
+
+    if (isNaN(dueDate.getTime()) || dueDate <= now) {
+      throw new AppError(`Milestone ${index + 1} needs a future due date`, 400, 'INVALID_MILESTONE');
+    }
+
+    return {
+      title: m.title,
+      description: m.description,
+      amount,
+      dueDate,
+      status: 'pending'
+    };
+  });
+
+  const sumCents = built.reduce((sum, m) => sum + Math.round(m.amount * 100), 0);
+  if (sumCents !== Math.round(subtotal * 100)) {
+    throw new AppError(
+      `Milestone amounts must add up to the order price of ${subtotal}`,
+      400,
+      'MILESTONE_AMOUNT_MISMATCH'
+    );
+  }
+
+  return built;
+};
+
+// Seller (or admin) splits the order into milestones before work starts
+export const setMilestonePlan = async (order, user, milestones) => {
+  const role = order.getActorRole(user);
+
+  if (role !== 'seller' && role !== 'admin') {
+    throw new AppError('Only the seller can plan milestones', 403, 'ACCESS_DENIED');
+  }
+
+  if (!['pending', 'accepted'].includes(order.status) || order.milestones.some(m => m.status !== 'pending')) {
+    throw new AppError('Milestones can only be changed before work starts', 409, 'MILESTONES_LOCKED');
+  }
+
+  const now = new Date();
+  order.milestones = buildMilestones(milestones, order.amount.subtotal, { now }).map(m => ({
+    ...m,
+    fundedAt: ['held', 'partially_released'].includes(order.payment.escrowStatus) ? now : undefined
+  }));
+
+  if (order.status === 'accepted') {
+    order.dates.dueDate = order.milestones[order.milestones.length - 1].dueDate;
+  }
+
+  order.addTimelineEvent('milestones_planned', { actor: user._id, role, note: `${order.milestones.length} milestones` });
+  await order.save();
+  return order;
+};
+
+// Seller starts the next milestone; milestones run in order
+export const startMilestone = async (order, user, milestoneId) => {
+  if (!order.seller.equals(user._id)) {
+    throw new AppError('Only the seller can start milestones', 403, 'ACCESS_DENIED');
+  }
+
+  const milestone = findMilestone(order, milestoneId);
+  assertMilestoneStatus(milestone, 'pending');
+
+  const index = order.milestones.findIndex(m => m._id.equals(milestone._id));
+  if (order.milestones.slice(0, index).some(m => !['completed', 'cancelled'].includes(m.status))) {
+    throw new AppError('Previous milestones must be approved first', 409, 'PREVIOUS_MILESTONE_OPEN');
+  }
+
+  assertMilestoneOrderStatus(order, ['accepted', 'in_progress']);
+
+  milestone.status = 'in_progress';
+  milestone.startedAt = new Date();
+  order.addTimelineEvent('milestone_started', { actor: user._id, role: 'seller', note: milestone.title });
+
+  if (order.status === 'accepted') {
+    return transitionOrder(order, 'in_progress', { user, note: milestone.title });
+  }
+
+  await order.save();
+  return order;
+};
+
+// Seller delivers a milestone. Delivering the last open milestone delivers the order.
+export const deliverMilestone = async (order, user, milestoneId, deliverables) => {
+  if (!order.seller.equals(user._id)) {
+    throw new AppError('Only the seller can deliver milestones', 403, 'ACCESS_DENIED');
+  }
+
+  assertMilestoneOrderStatus(order);
+
+  const milestone = findMilestone(order, milestoneId);
+  assertMilestoneStatus(milestone, 'in_progress');
+
+  if (!deliverables.length) {
+    throw new AppError('A delivery needs a message, files or links', 400, 'MISSING_FIELDS');
+  }
+
+  milestone.deliverables = milestone.deliverables.concat(deliverables);
+  milestone.status = 'delivered';
+  milestone.deliveredAt = new Date();
+  order.addTimelineEvent('milestone_delivered', { actor: user._id, role: 'seller', note: milestone.title });
+
+  if (remainingMilestones(order, milestone._id).length === 0) {
+    order.deliverables = order.deliverables.concat(deliverables);
+    return transitionOrder(order, order.getDeliveryStatus(), { user, note: milestone.title });
+  }
+
+  await order.save();
+  return order;
+};
+
+// Buyer approves a milestone, releasing its share of the escrowed funds.
+// Approving the last milestone completes the order.
+export const approveMilestone = async (order, user, milestoneId) => {
+  if (!order.buyer.equals(user._id)) {
+    throw new AppError('Only the buyer can approve milestones', 403, 'ACCESS_DENIED');
+  }
+
+  assertMilestoneOrderStatus(order);
+
+  const milestone = findMilestone(order, milestoneId);
+  assertMilestoneStatus(milestone, 'delivered');
+
+  const releaseAmount = roundAmount(milestone.amount * order.amount.total / order.amount.subtotal);
+
+  milestone.status = 'completed';
+  milestone.completedAt = new Date();
+  milestone.approvedBy = user._id;
+  milestone.releasedAmount = releaseAmount;
+  order.addTimelineEvent('milestone_approved', { actor: user._id, role: 'buyer', note: milestone.title });
+
+  if (remainingMilestones(order, milestone._id).length === 0) {
+    // Completion releases whatever is left in escrow
+    return transitionOrder(order, 'completed', { user, note: milestone.title });
+  }
+
+  await mongoose.connection.transaction(async (session) => {
+    await releaseOrderFunds(order, { amount: releaseAmount, memo: `Milestone: ${milestone.title}`, session });
+    await order.save({ session });
+  });
+
+  return order;
+};
+
+// Buyer sends a delivered milestone back for changes
+export const requestMilestoneChanges = async (order, user, milestoneId, reason) => {
+  if (!order.buyer.equals(user._id)) {
+    throw new AppError('Only the buyer can request changes', 403, 'ACCESS_DENIED');
+  }
+
+  if (!reason) {
+    throw new AppError('A reason is required', 400, 'MISSING_FIELDS');
+  }
+
+  assertMilestoneOrderStatus(order);
+
+  const milestone = findMilestone(order, milestoneId);
+  assertMilestoneStatus(milestone, 'delivered');
+
+  milestone.status = 'in_progress';
+  milestone.changeRequests.push({ reason });
+  order.addTimelineEvent('milestone_changes_requested', { actor: user._id, role: 'buyer', note: reason });
+
+  // The last milestone's delivery delivered the whole order
+  if (['delivered', 'revision_delivered'].includes(order.status)) {
+    return transitionOrder(order, 'revision_requested', { user, note: reason });
+  }
+
+  await order.save();
+  return order;
+};
@@ -0,0 +1,56 @@
+import nodemailer from 'nodemailer';
+import { User } from '../models/index.js';
+
+let transporter = null;
+
+// Email is optional; without credentials notifications are only logged
+const getTransporter = () => {
+  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+    return null;
+  }
+
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      service: process.env.EMAIL_SERVICE || 'gmail',
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      }
+    });
+  }
+
+  return transporter;
+};
+
+export const sendEmail = async ({ to, subject, text }) => {
+  const mailer = getTransporter();
+
+  if (!mailer) {
+    console.log(`📧 Email not configured, skipped "${subject}" to ${to}`);
+    return { success: false, error: 'Email not configured' };
+  }
+
+  try {
+    const info = await mailer.sendMail({ from: process.env.EMAIL_USER, to, subject, text });
+    return { success: true, data: { messageId: info.messageId } };
+  } catch (error) {
+    console.error('❌ Email send error:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Email the given users; the text may depend on the recipient
+export const notifyUsers = async (userIds, { subject, text }) => {
+  const users = await User.find({ _id: { $in: userIds } }).select('email username displayName');
+
+  const results = [];
+  for (const user of users) {
+    if (!user.email) continue;
+    results.push(await sendEmail({
+      to: user.email,
+      subject,
+      text: typeof text === 'function' ? text(user) : text
+    }));
+  }
+  return results;
+};
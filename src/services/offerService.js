@@ -0,0 +1,310 @@
+import mongoose from 'mongoose';
+import { Gig, Offer, User } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { priceOrder, roundAmount } from './pricingService.js';
+import { placeOrder, openOrder } from './orderService.js';
+import { getSellerCurrency } from './currencyService.js';
+import { buildMilestones } from './milestoneService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 30;
+
+const TERM_FIELDS = ['title', 'description', 'price', 'deliveryTime', 'revisions', 'features', 'milestones'];
+
+const getExpiry = (expiresInDays, now = new Date()) => {
+  const days = expiresInDays == null ? DEFAULT_EXPIRY_DAYS : parseInt(expiresInDays);
+
+  if (!days || days < 1 || days > MAX_EXPIRY_DAYS) {
+    throw new AppError(`Offers must expire in 1 to ${MAX_EXPIRY_DAYS} days`, 400, 'INVALID_EXPIRY');
+  }
+
+  return new Date(now.getTime() + days * DAY_MS);
+};
+
+// Validate offer terms. When `base` is given (a counter-offer), fields that
+// are not provided keep their current value.
+export const buildOfferTerms = (input = {}, base = {}) => {
+  const merged = { ...base };
+  TERM_FIELDS.forEach(field => {
+    if (input[field] !== undefined) merged[field] = input[field];
+  });
+
+  const terms = {
+    title: String(merged.title || '').trim(),
+    description: merged.description,
+    price: roundAmount(parseFloat(merged.price)),
+    deliveryTime: parseInt(merged.deliveryTime),
+    revisions: parseInt(merged.revisions) || 0,
+    features: Array.isArray(merged.features) ? merged.features.map(String) : [],
+    milestones: merged.milestones || []
+  };
+
+  if (!terms.title || !terms.price || !terms.deliveryTime) {
+    throw new AppError('Offer needs a title, price and delivery time', 400, 'MISSING_FIELDS');
+  }
+
+  if (terms.price < 5) {
+    throw new AppError('Offer price must be at least 5', 400, 'INVALID_PRICE');
+  }
+
+  if (terms.deliveryTime < 1 || terms.revisions < 0) {
+    throw new AppError('Delivery time must be at least 1 day and revisions cannot be negative', 400, 'INVALID_OFFER_TERMS');
+  }
+
+  if (terms.milestones.length) {
+    // Milestones are due relative to the order date, within the delivery time
+    const milestones = terms.milestones.map(m => ({ ...m, dueDate: undefined }));
+    buildMilestones(milestones, terms.price);
+
+    if (milestones.some(m => parseInt(m.dueInDays) > terms.deliveryTime)) {
+      throw new AppError('Milestones must be due within the delivery time', 400, 'INVALID_MILESTONE');
+    }
+
+    terms.milestones = milestones.map(m => ({
+      title: m.title,
+      description: m.description,
+      amount: roundAmount(parseFloat(m.amount)),
+      dueInDays: parseInt(m.dueInDays)
+    }));
+  }
+
+  return terms;
+};
+
+// Load an offer the user takes part in
+export const findOfferForParty = async (offerId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(offerId)) {
+    throw new AppError('Invalid offer ID', 400, 'INVALID_ID');
+  }
+
+  const offer = await Offer.findById(offerId);
+
+  if (!offer) {
+    throw new AppError('Offer not found', 404, 'OFFER_NOT_FOUND');
+  }
+
+  if (!offer.getPartyRole(user._id) && user.role !== 'admin') {
+    throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+  }
+
+  return offer;
+};
+
+// Offers past their expiry are closed on first touch (the scheduler also
+// expires them in bulk)
+const assertOpen = async (offer) => {
+  if (offer.isOpen() && offer.expiresAt <= new Date()) {
+    offer.status = 'expired';
+    offer.addHistoryEntry('expired', { role: 'system' });
+    await offer.save();
+  }
+
+  if (!offer.isOpen()) {
+    throw new AppError(`Offer is ${offer.status}`, 409, 'OFFER_NOT_OPEN');
+  }
+};
+
+const assertRole = (offer, user, role, status) => {
+  if (offer.getPartyRole(user._id) !== role) {
+    throw new AppError(`Only the ${role} can do this`, 403, 'ACCESS_DENIED');
+  }
+
+  if (offer.status !== status) {
+    throw new AppError(`Offer is waiting for the ${status === 'pending' ? 'buyer' : 'seller'}`, 409, 'OFFER_NOT_YOUR_TURN');
+  }
+};
+
+// Seller sends a buyer a custom offer, optionally based on one of their gigs
+export const createOffer = async (seller, { buyerId, gigId, expiresInDays, message, ...input }) => {
+  if (!mongoose.Types.ObjectId.isValid(buyerId)) {
+    throw new AppError('Valid buyer ID is required', 400, 'INVALID_ID');
+  }
+
+  if (seller._id.equals(buyerId)) {
+    throw new AppError('You cannot send an offer to yourself', 400, 'INVALID_BUYER');
+  }
+
+  const buyer = await User.findOne({ _id: buyerId, status: 'active' }).select('_id');
+
+  if (!buyer) {
+    throw new AppError('Buyer not found', 404, 'USER_NOT_FOUND');
+  }
+
+  let gig = null;
+  if (gigId) {
+    gig = mongoose.Types.ObjectId.isValid(gigId) ? await Gig.findOne({ _id: gigId, seller: seller._id }) : null;
+
+    if (!gig) {
+      throw new AppError('Gig not found', 404, 'GIG_NOT_FOUND');
+    }
+  }
+
+  const terms = buildOfferTerms(input);
+
+  const offer = new Offer({
+    seller: seller._id,
+    buyer: buyer._id,
+    gig: gig?._id,
+    gigTitle: gig?.title,
+    currency: gig?.currency || await getSellerCurrency(seller._id),
+    terms,
+    expiresAt: getExpiry(expiresInDays)
+  });
+  offer.addHistoryEntry('offered', { by: seller._id, role: 'seller', terms, message });
+
+  await offer.save();
+  return offer;
+};
+
+// Buyer counters a pending offer, or the seller revises the terms (answering
+// a counter-offer or updating their own offer)
+export const counterOffer = async (offer, user, { expiresInDays, message, ...input }) => {
+  await assertOpen(offer);
+  const role = offer.getPartyRole(user._id);
+
+  if (role === 'buyer') {
+    assertRole(offer, user, 'buyer', 'pending');
+  } else if (role !== 'seller') {
+    throw new AppError('Only the buyer or seller can negotiate', 403, 'ACCESS_DENIED');
+  }
+
+  const terms = buildOfferTerms(input, offer.terms.toObject());
+
+  offer.terms = terms;
+  offer.status = role === 'buyer' ? 'countered' : 'pending';
+  if (role === 'seller' && expiresInDays != null) {
+    offer.expiresAt = getExpiry(expiresInDays);
+  }
+  offer.addHistoryEntry(role === 'buyer' ? 'countered' : 'revised', { by: user._id, role, terms, message });
+
+  await offer.save();
+  return offer;
+};
+
+// Seller accepting a counter-offer hands it back to the buyer to pay
+const acceptCounter = async (offer, user, { message }) => {
+  assertRole(offer, user, 'seller', 'countered');
+
+  offer.status = 'pending';
+  offer.addHistoryEntry('counter_accepted', { by: user._id, role: 'seller', message });
+
+  await offer.save();
+  return { offer };
+};
+
+// Buyer accepting the offer pays for it and creates the order, with the
+// offer terms as the package snapshot
+const acceptAndOrder = async (offer, user, { paymentSource, displayCurrency, requirements = {}, metadata = {} }) => {
+  assertRole(offer, user, 'buyer', 'pending');
+
+  const { terms } = offer;
+  const now = new Date();
+
+  // Priced before the buyer is charged; the offer terms fix the subtotal
+  const offerGig = offer.gig ? await Gig.findById(offer.gig).select('category') : null;
+  const { exchange, feeRule, pricing, tax } = await priceOrder({
+    currency: offer.currency,
+    displayCurrency,
+    category: offerGig?.category,
+    sellerId: offer.seller,
+    subtotal: terms.price,
+    buyer: user,
+    at: now
+  });
+
+  return placeOrder({ buyer: user, amount: pricing.amount.total, currency: offer.currency, paymentSource }, async (session, { orderId, charge }) => {
+    // Claimed in the transaction so two concurrent accepts cannot both
+    // create an order; the loser's charge is reversed by placeOrder
+    const accepted = await Offer.findOneAndUpdate(
+      { _id: offer._id, status: 'pending' },
+      {
+        $set: { status: 'accepted', acceptedAt: now, updatedAt: now },
+        $push: { history: { action: 'accepted', by: user._id, role: 'buyer', at: now } }
+      },
+      { new: true, session }
+    );
+
+    if (!accepted) {
+      throw new AppError('This offer is no longer pending', 409, 'OFFER_NOT_PENDING');
+    }
+
+    const gig = offer.gig ? await Gig.findById(offer.gig).session(session) : null;
+
+    const created = await openOrder({
+      seller: offer.seller,
+      gig: gig?._id,
+      gigTitle: gig?.title || offer.gigTitle || terms.title,
+      gigImage: gig?.primaryImage?.url,
+      package: 'custom',
+      offer: offer._id,
+      packageDetails: {
+        title: terms.title,
+        description: terms.description,
+        features: terms.features,
+        deliveryTime: terms.deliveryTime,
+        revisions: terms.revisions
+      },
+      milestones: terms.milestones.length
+        ? buildMilestones(terms.milestones.map(m => m.toObject()), terms.price, { now }).map(m => ({ ...m, fundedAt: now }))
+        : [],
+      amount: pricing.amount,
+      currency: offer.currency,
+      exchange,
+      tax,
+      feeRule,
+      platformFee: pricing.platformFee,
+      sellerEarnings: pricing.sellerEarnings,
+      requirements: {
+        additionalInfo: requirements.additionalInfo,
+        attachments: requirements.attachments || []
+      },
+      metadata
+    }, { buyer: user, gig, orderId, charge, session });
+
+    accepted.order = created._id;
+    await accepted.save({ session });
+
+    return { offer: accepted, order: created };
+  });
+};
+
+export const acceptOffer = async (offer, user, options = {}) => {
+  await assertOpen(offer);
+
+  return offer.getPartyRole(user._id) === 'seller'
+    ? acceptCounter(offer, user, options)
+    : acceptAndOrder(offer, user, options);
+};
+
+// The party the offer is waiting for declines it
+export const declineOffer = async (offer, user, { message } = {}) => {
+  await assertOpen(offer);
+  const role = offer.getPartyRole(user._id);
+
+  if (!role) {
+    throw new AppError('Only the buyer or seller can decline an offer', 403, 'ACCESS_DENIED');
+  }
+
+  assertRole(offer, user, role, role === 'buyer' ? 'pending' : 'countered');
+
+  offer.status = 'declined';
+  offer.addHistoryEntry('declined', { by: user._id, role, message });
+
+  await offer.save();
+  return offer;
+};
+
+export const withdrawOffer = async (offer, user, { message } = {}) => {
+  await assertOpen(offer);
+
+  if (offer.getPartyRole(user._id) !== 'seller') {
+    throw new AppError('Only the seller can withdraw an offer', 403, 'ACCESS_DENIED');
+  }
+
+  offer.status = 'withdrawn';
+  offer.addHistoryEntry('withdrawn', { by: user._id, role: 'seller', message });
+
+  await offer.save();
+  return offer;
+};
@@ -0,0 +1,540 @@
+import mongoose from 'mongoose';
+import { Gig, Order, User } from '../models/index.js';
+import { ORDER_STATUSES } from '../models/Order.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { priceOrder, roundAmount } from './pricingService.js';
+import { chargeOrder, chargeTip, reverseCharge, holdOrderFunds, releaseOrderFunds, issueRefund, recordRefund, recordTip } from './ledgerService.js';
+import { applyCoupon } from './couponService.js';
+import { getServedRevision } from './gigRevisionService.js';
+
+const PACKAGE_TYPES = ['basic', 'standard', 'premium'];
+
+// Pay the seller and update gig/seller stats for a completed order
+const completeOrderEffects = async (order, session) => {
+  await releaseOrderFunds(order, { session });
+
+  const gig = await Gig.findById(order.gig).session(session);
+  if (gig) {
+    await gig.completeOrder(order.sellerEarnings || 0);
+  }
+
+  await User.updateOne(
+    { _id: order.seller },
+    { $inc: { 'sellerProfile.completedOrders': 1 } },
+    { session }
+  );
+  await refreshCancellationRate(order.seller, session);
+};
+
+// Cancelled share of the seller's finished (completed or cancelled) orders
+const refreshCancellationRate = async (sellerId, session) => {
+  const seller = await User.findById(sellerId)
+    .select('sellerProfile.completedOrders sellerProfile.cancelledOrders')
+    .session(session);
+  if (!seller) return;
+
+  const cancelled = seller.sellerProfile?.cancelledOrders || 0;
+  const finished = cancelled + (seller.sellerProfile?.completedOrders || 0);
+  const rate = finished > 0 ? Math.round((cancelled / finished) * 1000) / 10 : 0;
+
+  await User.updateOne(
+    { _id: sellerId },
+    { $set: { 'sellerProfile.cancellationRate': rate } },
+    { session }
+  );
+};
+
+// Cancellations the seller asked for or agreed to, or an admin approved,
+// count towards the seller's cancellation rate. A buyer cancelling an order
+// the seller has not accepted yet, or an order expiring unaccepted, does not.
+const isChargedToSeller = (order) => {
+  const { cancellation } = order;
+  if (cancellation?.status !== 'approved') return false;
+  return cancellation.requesterRole === 'seller' || !cancellation.approvedBy?.equals(order.buyer);
+};
+
+const cancelOrderEffects = async (order, session) => {
+  if (!isChargedToSeller(order)) return;
+
+  await User.updateOne(
+    { _id: order.seller },
+    { $inc: { 'sellerProfile.cancelledOrders': 1 } },
+    { session }
+  );
+  await refreshCancellationRate(order.seller, session);
+};
+
+// Side effects run inside the same transaction when an order enters a status
+const statusEffects = {
+  completed: completeOrderEffects,
+  cancelled: cancelOrderEffects,
+  refunded: (order, session, { refund }) => recordRefund(order, refund, { session })
+};
+
+// Payment provider calls made before the transaction when an order enters a
+// status; the result is passed to the status effect. Refunding a completed
+// order (or a disputed one, where milestone payments may have been released)
+// also claws back what the seller was paid; otherwise only what is still in
+// escrow goes back to the buyer.
+const statusPayments = {
+  refunded: (order, { fromStatus }) => issueRefund(order, {
+    includeReleased: ['completed', 'disputed'].includes(fromStatus)
+  })
+};
+
+// Match the buyer's answers to the gig's requirement questions
+export const buildRequirementAnswers = (gig, answers = []) => {
+  return gig.requirements.map(question => {
+    const match = answers.find(a => a && a.question === question);
+    if (!match || !match.answer || !String(match.answer).trim()) {
+      throw new AppError(`Answer required for: ${question}`, 400, 'MISSING_REQUIREMENTS');
+    }
+    return { question, answer: String(match.answer).trim() };
+  });
+};
+
+// Snapshot the extras the buyer picked; each active extra can be bought once
+const buildOrderExtras = (gig, extraIds = []) => {
+  if (!Array.isArray(extraIds)) {
+    throw new AppError('Extras must be an array of extra IDs', 400, 'INVALID_EXTRAS');
+  }
+
+  if (new Set(extraIds.map(String)).size !== extraIds.length) {
+    throw new AppError('Each extra can only be selected once', 400, 'INVALID_EXTRAS');
+  }
+
+  const available = gig.getActiveExtras();
+
+  return extraIds.map(id => {
+    const extra = available.find(e => e._id.equals(id));
+    if (!extra) {
+      throw new AppError(`Extra not available for this gig: ${id}`, 400, 'EXTRA_NOT_AVAILABLE');
+    }
+    return {
+      extraId: extra._id,
+      title: extra.title,
+      description: extra.description,
+      price: extra.price,
+      extraDays: extra.extraDays
+    };
+  });
+};
+
+// A gig can be bought while it is active, by anyone but its seller, and
+// while the seller's account is active
+export const canPurchaseGig = async (gig, buyerId, { session } = {}) => {
+  if (!gig?.isPurchasableBy(buyerId)) return false;
+  return Boolean(await User.exists({ _id: gig.seller, status: 'active' }).session(session || null));
+};
+
+// Charge the buyer, then write the order in a transaction with `persist(session,
+// { orderId, charge })`. The order ID and charge are settled before the
+// transaction so a retried attempt reuses them, and the charge is refunded
+// if the transaction fails.
+export const placeOrder = async ({ buyer, amount, currency, paymentSource }, persist) => {
+  const orderId = Order.generateOrderId();
+  const charge = await chargeOrder({ orderId, buyer, amount, currency, source: paymentSource });
+
+  try {
+    return await mongoose.connection.transaction(session => persist(session, { orderId, charge }));
+  } catch (error) {
+    await reverseCharge(charge);
+    throw error;
+  }
+};
+
+// Insert a new order inside placeOrder's transaction: holds the buyer's
+// charge in escrow and updates gig and buyer stats. `fields` carries the
+// order's parties, snapshot and pricing; the gig version whose content the
+// order was taken from is referenced for disputes.
+export const openOrder = async (fields, { buyer, gig, orderId, charge, session }) => {
+  const gigRevision = gig ? await getServedRevision(gig, { session }) : null;
+
+  const [order] = await Order.create([{
+    orderId,
+    buyer: buyer._id,
+    ...fields,
+    gigRevision: gigRevision?._id,
+    gigVersion: gigRevision?.version,
+    timeline: [{
+      event: 'created',
+      to: 'pending',
+      actor: buyer._id,
+      actorRole: 'buyer'
+    }]
+  }], { session });
+
+  await holdOrderFunds(order, { charge, session });
+  await order.save({ session });
+
+  if (gig) {
+    await gig.addOrder();
+  }
+  await User.updateOne(
+    { _id: buyer._id },
+    { $inc: { 'buyerProfile.totalOrders': 1 } },
+    { session }
+  );
+
+  return order;
+};
+
+// Price a gig order in the gig's currency: package, extras and an optional
+// coupon, with fees from the fee schedule in effect and tax from the buyer's
+// and seller's tax profiles. The amount is also converted into the buyer's
+// display currency. With `redeem` the coupon use is counted inside the
+// caller's transaction.
+export const quoteOrder = async ({ buyer, gigId, packageName, extras: extraIds = [], couponCode, displayCurrency, session, redeem = false }) => {
+  if (!mongoose.Types.ObjectId.isValid(gigId)) {
+    throw new AppError('Valid gig ID is required', 400, 'INVALID_ID');
+  }
+
+  if (!PACKAGE_TYPES.includes(packageName)) {
+    throw new AppError(`Package must be one of: ${PACKAGE_TYPES.join(', ')}`, 400, 'INVALID_PACKAGE_TYPE');
+  }
+
+  const gig = await Gig.findById(gigId).session(session || null);
+
+  if (!gig) {
+    throw new AppError('Gig not found', 404, 'GIG_NOT_FOUND');
+  }
+
+  if (!await canPurchaseGig(gig, buyer._id, { session })) {
+    throw new AppError('This gig cannot be purchased', 400, 'GIG_NOT_PURCHASABLE');
+  }
+
+  const pkg = gig.getActivePackages()[packageName];
+
+  if (!pkg) {
+    throw new AppError(`The ${packageName} package is not available for this gig`, 400, 'PACKAGE_NOT_AVAILABLE');
+  }
+
+  const extras = buildOrderExtras(gig, extraIds);
+  const subtotal = roundAmount(pkg.price + extras.reduce((sum, extra) => sum + extra.price, 0));
+  const { exchange, feeRule, discount: coupon, pricing, tax, displayAmount } = await priceOrder({
+    currency: gig.currency,
+    displayCurrency,
+    category: gig.category,
+    sellerId: gig.seller,
+    subtotal,
+    buyer,
+    session,
+    getDiscount: couponCode
+      ? ({ rates, baseRate }) => applyCoupon(couponCode, { buyer, gig, subtotal, currency: gig.currency, rates, baseRate, session, redeem })
+      : null
+  });
+
+  return { gig, pkg, extras, coupon, pricing, tax, feeRule, exchange, displayAmount };
+};
+
+// Create an order for a gig package plus any extras and coupon. Prices, fees
+// and the gig/package snapshot are all taken from the gig. The buyer is
+// charged the quoted total first; the order, the escrow hold, coupon use,
+// gig stats and buyer stats are then written in a single transaction, which
+// prices the order again to redeem the coupon.
+export const createOrder = async ({ buyer, gigId, packageName, extras: extraIds = [], couponCode, displayCurrency, requirements = {}, paymentSource, metadata = {} }) => {
+  const quote = await quoteOrder({ buyer, gigId, packageName, extras: extraIds, couponCode, displayCurrency });
+  // Reject missing answers before the buyer is charged
+  buildRequirementAnswers(quote.gig, requirements.answers);
+
+  return placeOrder({ buyer, amount: quote.pricing.amount.total, currency: quote.gig.currency, paymentSource }, async (session, { orderId, charge }) => {
+    const { gig, pkg, extras, coupon, pricing, tax, feeRule, exchange } = await quoteOrder({
+      buyer,
+      gigId,
+      packageName,
+      extras: extraIds,
+      couponCode,
+      displayCurrency,
+      session,
+      redeem: true
+    });
+
+    return openOrder({
+      seller: gig.seller,
+      gig: gig._id,
+      gigTitle: gig.title,
+      gigImage: gig.primaryImage?.url,
+      package: packageName,
+      packageDetails: {
+        title: pkg.title,
+        description: pkg.description,
+        features: pkg.features,
+        deliveryTime: pkg.deliveryTime,
+        revisions: pkg.revisions
+      },
+      extras,
+      coupon: coupon || undefined,
+      amount: pricing.amount,
+      currency: gig.currency,
+      exchange,
+      tax,
+      feeRule,
+      platformFee: pricing.platformFee,
+      sellerEarnings: pricing.sellerEarnings,
+      requirements: {
+        answers: buildRequirementAnswers(gig, requirements.answers),
+        additionalInfo: requirements.additionalInfo,
+        attachments: requirements.attachments || []
+      },
+      metadata
+    }, { buyer, gig, orderId, charge, session });
+  });
+};
+
+// Validate one status change against the order transition table and record
+// it on the order timeline. Does not save.
+const recordValidatedTransition = (order, { status: toStatus, user = null, role = null, note }) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw new AppError(`Invalid order status: ${toStatus}`, 400, 'INVALID_STATUS');
+  }
+
+  const actorRole = role || order.getActorRole(user);
+
+  if (!actorRole) {
+    throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+  }
+
+  if (!order.isTransitionDefined(toStatus)) {
+    throw new AppError(
+      `Order cannot move from ${order.status} to ${toStatus}`,
+      409,
+      'INVALID_STATUS_TRANSITION'
+    );
+  }
+
+  if (!order.canTransition(toStatus, actorRole)) {
+    throw new AppError(
+      `A ${actorRole} cannot move an order from ${order.status} to ${toStatus}`,
+      403,
+      'TRANSITION_NOT_ALLOWED'
+    );
+  }
+
+  const fromStatus = order.status;
+  order.recordTransition(toStatus, { actor: user?._id, role: actorRole, note });
+  return { fromStatus, toStatus };
+};
+
+// Apply a chain of status changes (e.g. cancelled then refunded) and save them
+// together with their side effects in one transaction. All changes are
+// validated and recorded, and refunds issued with the payment provider,
+// before the transaction starts, so a retried transaction only repeats the
+// writes. `beforeEffects` runs extra writes (e.g. recording a partial refund)
+// in the same transaction ahead of the status effects.
+export const applyTransitions = async (order, steps, { session, beforeEffects } = {}) => {
+  const applied = steps.map(step => recordValidatedTransition(order, step));
+
+  for (const step of applied) {
+    if (statusPayments[step.toStatus]) {
+      step.payment = await statusPayments[step.toStatus](order, step);
+    }
+  }
+
+  const persist = async (txSession) => {
+    if (beforeEffects) {
+      await beforeEffects(txSession);
+    }
+    for (const { fromStatus, toStatus, payment } of applied) {
+      if (statusEffects[toStatus]) {
+        await statusEffects[toStatus](order, txSession, { fromStatus, refund: payment });
+      }
+    }
+    await order.save({ session: txSession });
+  };
+
+  if (session) {
+    await persist(session);
+  } else {
+    await mongoose.connection.transaction(persist);
+  }
+
+  return order;
+};
+
+// Move an order to a new status on behalf of a user (or the system).
+// Validates the move against the order transition table, records it on the
+// order timeline, runs any payment side effects and saves the order.
+export const transitionOrder = (order, toStatus, { user = null, role = null, note, session } = {}) => {
+  return applyTransitions(order, [{ status: toStatus, user, role, note }], { session });
+};
+
+// A status change requested directly by a buyer, seller or admin. Only
+// moves without preconditions (accepting and starting an order) are allowed;
+// every other move goes through the flow that checks its preconditions.
+export const changeOrderStatus = (order, toStatus, { user, note }) => {
+  if (order.isTransitionDefined(toStatus) && !order.isDirectTransition(toStatus)) {
+    throw new AppError(
+      `Moving an order from ${order.status} to ${toStatus} has its own endpoint`,
+      409,
+      'DEDICATED_FLOW_REQUIRED'
+    );
+  }
+
+  return transitionOrder(order, toStatus, { user, note });
+};
+
+export const assertCanDeliver = (order, user) => {
+  if (!order.seller.equals(user._id)) {
+    throw new AppError('Only the seller can deliver this order', 403, 'ACCESS_DENIED');
+  }
+
+  if (!order.canDeliver(user._id)) {
+    throw new AppError(`Order cannot be delivered while ${order.status}`, 409, 'INVALID_STATUS_TRANSITION');
+  }
+
+  if (order.hasMilestonePlan()) {
+    throw new AppError('Deliver this order milestone by milestone', 409, 'MILESTONE_ACTION_REQUIRED');
+  }
+};
+
+// Seller submits a delivery (or a revision delivery)
+export const deliverOrder = async (order, user, deliverables) => {
+  assertCanDeliver(order, user);
+
+  if (!deliverables.length) {
+    throw new AppError('A delivery needs a message, files or links', 400, 'MISSING_FIELDS');
+  }
+
+  if (order.status === 'revision_requested') {
+    const revision = order.revisions.slice().reverse().find(r => ['pending', 'accepted'].includes(r.status));
+    if (revision) {
+      revision.status = 'completed';
+      revision.respondedAt = revision.respondedAt || new Date();
+      revision.deliverables = deliverables;
+    }
+  }
+
+  order.deliverables = order.deliverables.concat(deliverables);
+  return transitionOrder(order, order.getDeliveryStatus(), { user });
+};
+
+// Buyer asks for changes to a delivery, limited by the package's revisions
+export const requestRevision = async (order, user, { reason, details }) => {
+  if (!order.buyer.equals(user._id)) {
+    throw new AppError('Only the buyer can request revisions', 403, 'ACCESS_DENIED');
+  }
+
+  if (!reason) {
+    throw new AppError('Revision reason is required', 400, 'MISSING_FIELDS');
+  }
+
+  if (order.hasMilestonePlan()) {
+    throw new AppError('Request changes on the delivered milestone instead', 409, 'MILESTONE_ACTION_REQUIRED');
+  }
+
+  if (!order.canRequestRevision(user._id)) {
+    if (order.canTransition('revision_requested', 'buyer')) {
+      throw new AppError('All included revisions have been used', 400, 'REVISION_LIMIT_REACHED');
+    }
+    throw new AppError(`Revisions cannot be requested while ${order.status}`, 409, 'INVALID_STATUS_TRANSITION');
+  }
+
+  order.revisionsUsed += 1;
+  order.revisions.push({
+    requestedBy: user._id,
+    reason,
+    details,
+    requestedAt: new Date()
+  });
+
+  return transitionOrder(order, 'revision_requested', { user, note: reason });
+};
+
+// Seller accepts a revision request (and will redeliver) or declines it,
+// which returns the order to delivered without using up a revision
+export const respondToRevision = async (order, user, revisionId, { action, response }) => {
+  if (!order.seller.equals(user._id)) {
+    throw new AppError('Only the seller can respond to revisions', 403, 'ACCESS_DENIED');
+  }
+
+  const revision = order.revisions.id(revisionId);
+
+  if (!revision) {
+    throw new AppError('Revision not found', 404, 'REVISION_NOT_FOUND');
+  }
+
+  if (revision.status !== 'pending' || order.status !== 'revision_requested') {
+    throw new AppError('Revision has already been answered', 409, 'REVISION_NOT_PENDING');
+  }
+
+  if (!['accept', 'reject'].includes(action)) {
+    throw new AppError('Action must be accept or reject', 400, 'INVALID_ACTION');
+  }
+
+  revision.response = response;
+  revision.respondedAt = new Date();
+
+  if (action === 'accept') {
+    revision.status = 'accepted';
+    order.addTimelineEvent('revision_accepted', { actor: user._id, role: 'seller', note: response });
+    await order.save();
+    return order;
+  }
+
+  if (!response) {
+    throw new AppError('A response is required when declining a revision', 400, 'MISSING_FIELDS');
+  }
+
+  revision.status = 'rejected';
+  order.revisionsUsed = Math.max(0, order.revisionsUsed - 1);
+  return transitionOrder(order, 'delivered', { user, note: response });
+};
+
+// Buyer approves the delivery, completing the order
+export const acceptDelivery = async (order, user) => {
+  if (!order.buyer.equals(user._id)) {
+    throw new AppError('Only the buyer can accept a delivery', 403, 'ACCESS_DENIED');
+  }
+
+  if (order.hasMilestonePlan()) {
+    throw new AppError('Approve the delivered milestone instead', 409, 'MILESTONE_ACTION_REQUIRED');
+  }
+
+  return transitionOrder(order, 'completed', { user, note: 'Delivery accepted' });
+};
+
+const MIN_TIP = 1;
+const MAX_TIP = 10000;
+
+// Buyer tips the seller on a completed order
+export const tipOrder = async (order, user, { amount, message, paymentSource }) => {
+  if (!order.buyer.equals(user._id)) {
+    throw new AppError('Only the buyer can tip', 403, 'ACCESS_DENIED');
+  }
+
+  if (order.status !== 'completed') {
+    throw new AppError('Only completed orders can be tipped', 409, 'ORDER_NOT_COMPLETED');
+  }
+
+  const tipAmount = roundAmount(parseFloat(amount));
+
+  if (!tipAmount || tipAmount < MIN_TIP || tipAmount > MAX_TIP) {
+    throw new AppError(`Tip must be between ${MIN_TIP} and ${MAX_TIP}`, 400, 'INVALID_TIP_AMOUNT');
+  }
+
+  // Charged before the transaction under a key unique to this tip, and
+  // refunded if the transaction fails
+  const tip = order.tips.create({ amount: tipAmount, message });
+  const charge = await chargeTip(order, {
+    amount: tipAmount,
+    source: paymentSource,
+    idempotencyKey: `${order.orderId}-tip-${tip._id}`
+  });
+
+  tip.provider = charge.provider;
+  tip.providerReference = charge.reference;
+  order.tips.push(tip);
+  order.addTimelineEvent('tipped', { actor: user._id, role: 'buyer', note: `${tipAmount} ${order.currency}` });
+
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      await recordTip(order, { charge, session });
+      await order.save({ session });
+    });
+  } catch (error) {
+    await reverseCharge(charge);
+    throw error;
+  }
+
+  return tip;
+};
@@ -0,0 +1,39 @@
+// Local payment provider for development and tests. Never moves real money.
+// Use the payment source 'fake_declined' to simulate a declined charge.
+
+const createReference = (prefix) => {
+  return `fake_${prefix}_` + Date.now() + Math.random().toString(36).substr(2, 8);
+};
+
+const fakeProvider = {
+  name: 'fake',
+
+  async charge({ amount, currency, source }) {
+    if (source === 'fake_declined') {
+      return { success: false, error: 'Card declined' };
+    }
+    return {
+      success: true,
+      data: { reference: createReference('ch'), amount, currency, status: 'succeeded' }
+    };
+  },
+
+  async refund({ chargeReference, amount, currency }) {
+    if (!chargeReference) {
+      return { success: false, error: 'Charge reference is required' };
+    }
+    return {
+      success: true,
+      data: { reference: createReference('re'), amount, currency, status: 'succeeded' }
+    };
+  },
+
+  async payout({ amount, currency }) {
+    return {
+      success: true,
+      data: { reference: createReference('po'), amount, currency, status: 'paid' }
+    };
+  }
+};
+
+export default fakeProvider;
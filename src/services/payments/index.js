@@ -0,0 +1,39 @@
+import fakeProvider from './fakeProvider.js';
+
+// Payment provider interface. Every adapter is an object with a `name` and:
+//   charge({ amount, currency, source, customer, idempotencyKey, metadata })
+//   refund({ chargeReference, amount, currency, idempotencyKey })
+//   payout({ amount, currency, destination, idempotencyKey })
+// Each method resolves to { success: true, data: { reference, ... } } or
+// { success: false, error } - the same shape as the ImageKit helpers.
+const providers = {
+  fake: fakeProvider
+};
+
+export const registerPaymentProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+// The fake provider accepts every payment, so it is only available when
+// NODE_ENV is development or test
+const FAKE_PROVIDER_ENVIRONMENTS = ['development', 'test'];
+
+const isFakeProviderAllowed = () => FAKE_PROVIDER_ENVIRONMENTS.includes(process.env.NODE_ENV);
+
+// Selected with PAYMENT_PROVIDER, which defaults to the fake provider in
+// development and test and is required everywhere else
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || (isFakeProviderAllowed() ? 'fake' : null)) => {
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER must be set outside development and test');
+  }
+
+  if (name === fakeProvider.name && !isFakeProviderAllowed()) {
+    throw new Error('The fake payment provider is only available when NODE_ENV is development or test');
+  }
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Payment provider '${name}' is not registered`);
+  }
+  return provider;
+};
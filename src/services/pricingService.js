@@ -0,0 +1,79 @@
+// Order pricing. All amounts are computed server-side from the gig package;
+// client-supplied prices are never trusted.
+
+import { resolveOrderFees } from './feeScheduleService.js';
+import { lockOrderExchange, convertOrderAmount } from './currencyService.js';
+import { applyOrderTax } from './taxService.js';
+
+// A rate or fixed fee from the environment; 0 is a valid setting, so only a
+// missing or invalid value falls back
+const readFee = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+// Fallback fees when no fee schedule is in effect. Read at call time -
+// environment variables are loaded after module imports.
+export const getDefaultFeeRates = () => ({
+  platform: readFee('PLATFORM_FEE_RATE', 0.1), // Deducted from seller earnings
+  service: readFee('SERVICE_FEE_RATE', 0), // Charged to the buyer
+  serviceFixed: readFee('SERVICE_FEE_FIXED', 0)
+});
+
+// Card processing costs are passed on to the buyer whatever the fee schedule
+const getPaymentFeeRates = () => ({
+  payment: readFee('PAYMENT_FEE_RATE', 0.029),
+  paymentFixed: readFee('PAYMENT_FEE_FIXED', 0.3)
+});
+
+// Round to whole cents
+export const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Price an order with the given fee rates (see feeScheduleService). A coupon
+// discount lowers what the buyer pays and is funded either by the platform
+// (out of its fee, which can go negative - a subsidy) or by the seller (out
+// of their earnings, with the platform fee still taken on the full subtotal).
+// The service and payment fees are added on top of the discounted price.
+// Fixed fees are set in the base currency; `baseRate` converts the order
+// currency into it.
+export const calculateOrderAmount = (subtotal, { discount = 0, fundedBy = 'platform', rates = getDefaultFeeRates(), baseRate = 1 } = {}) => {
+  const { payment: paymentRate, paymentFixed } = getPaymentFeeRates();
+  const charged = subtotal - discount;
+  const baseFee = roundAmount(subtotal * rates.platform);
+  const platform = fundedBy === 'platform' ? roundAmount(baseFee - discount) : baseFee;
+  const sellerDiscount = fundedBy === 'seller' ? discount : 0;
+  const service = roundAmount(charged * rates.service + rates.serviceFixed / baseRate);
+  const payment = roundAmount((charged + service) * paymentRate + paymentFixed / baseRate);
+
+  return {
+    amount: {
+      subtotal: roundAmount(subtotal),
+      discount: roundAmount(discount),
+      fees: { platform, service, payment },
+      total: roundAmount(charged + service + payment)
+    },
+    platformFee: platform,
+    commission: baseFee, // Platform fee charged to the seller, before any platform-funded discount
+    sellerEarnings: roundAmount(subtotal - baseFee - sellerDiscount)
+  };
+};
+
+// Price an order end to end - gig orders, custom offers and subscription
+// cycles alike: lock the exchange rates, resolve the fee schedule in effect
+// `at`, apply an optional discount and add tax. `getDiscount({ rates,
+// baseRate })` resolves to a coupon-style { discount, fundedBy } or null.
+// The amount is also converted into the buyer's display currency.
+export const priceOrder = async ({ currency, displayCurrency, category, sellerId, subtotal, buyer, at, getDiscount, session }) => {
+  const exchange = await lockOrderExchange(currency, displayCurrency || currency, { session });
+  const { baseRate } = exchange;
+
+  const { rates, feeRule } = await resolveOrderFees({ category, sellerId, subtotal, baseRate, at, session });
+  const discount = getDiscount ? await getDiscount({ rates, baseRate }) : null;
+  const { pricing, tax } = await applyOrderTax(
+    calculateOrderAmount(subtotal, { rates, baseRate, ...(discount && { discount: discount.discount, fundedBy: discount.fundedBy }) }),
+    { buyer, sellerId, session }
+  );
+  const displayAmount = convertOrderAmount(pricing.amount, exchange.displayRate);
+
+  return { exchange, feeRule, discount, pricing, tax, displayAmount };
+};
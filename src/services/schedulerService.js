@@ -0,0 +1,131 @@
+import os from 'os';
+import crypto from 'crypto';
+import { Job } from '../models/index.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Identifies this server process in job locks
+const instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+const jobs = new Map();
+let timer = null;
+let ticking = false;
+
+export const getPollInterval = () => parseInt(process.env.JOB_POLL_INTERVAL_MS) || MINUTE_MS;
+
+export const isSchedulerEnabled = () => process.env.JOB_SCHEDULER_ENABLED !== 'false';
+
+// Register a recurring job. The handler's return value is stored as the
+// job's last result; throwing schedules a retry with exponential backoff.
+export const defineJob = (name, handler, {
+  interval,
+  lockTtl = 10 * MINUTE_MS,
+  maxAttempts = 5,
+  retryDelay = 30 * 1000
+}) => {
+  jobs.set(name, { name, handler, interval, lockTtl, maxAttempts, retryDelay });
+};
+
+// Delay before retry `attempts` (1-based), never longer than the job interval
+const getBackoff = (job, attempts) => Math.min(job.retryDelay * 2 ** (attempts - 1), job.interval);
+
+// Keep extending a running job's lock (every third of its TTL), so a run
+// longer than the TTL is not taken over by another instance. Returns a
+// function that stops the renewals; call it before releasing the lock.
+const keepLock = (job) => {
+  let stopped = false;
+
+  const renewal = setInterval(async () => {
+    try {
+      const renewed = await Job.renew(job.name, instanceId, job.lockTtl);
+      if (!renewed && !stopped) {
+        console.error(`❌ Job ${job.name} lost its lock to another instance`);
+        clearInterval(renewal);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to renew the lock of job ${job.name}:`, error.message);
+    }
+  }, job.lockTtl / 3);
+  renewal.unref();
+
+  return () => {
+    stopped = true;
+    clearInterval(renewal);
+  };
+};
+
+const runJob = async (job) => {
+  const claimed = await Job.claim(job.name, instanceId, job.lockTtl);
+  if (!claimed) return;
+
+  const stopRenewing = keepLock(job);
+
+  try {
+    const result = await job.handler();
+    stopRenewing();
+
+    await Job.release(job.name, instanceId, {
+      $set: {
+        nextRunAt: new Date(Date.now() + job.interval),
+        attempts: 0,
+        lastSucceededAt: new Date(),
+        lastResult: result ?? null,
+        lastError: null
+      },
+      $inc: { runCount: 1 }
+    });
+  } catch (error) {
+    stopRenewing();
+    const attempts = claimed.attempts + 1;
+    const exhausted = attempts >= job.maxAttempts;
+
+    console.error(`❌ Job ${job.name} failed (attempt ${attempts}/${job.maxAttempts}):`, error.message);
+
+    // After the last attempt, give up on this run and wait for the next one
+    await Job.release(job.name, instanceId, {
+      $set: {
+        nextRunAt: new Date(Date.now() + (exhausted ? job.interval : getBackoff(job, attempts))),
+        attempts: exhausted ? 0 : attempts,
+        lastError: error.message
+      },
+      $inc: { runCount: 1, failCount: 1 }
+    });
+  }
+};
+
+// Run every due job once
+export const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    for (const job of jobs.values()) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('❌ Job scheduler error:', error.message);
+  } finally {
+    ticking = false;
+  }
+};
+
+export const startScheduler = async () => {
+  if (timer) return;
+
+  for (const job of jobs.values()) {
+    await Job.register(job.name, job.interval);
+  }
+
+  timer = setInterval(tick, getPollInterval());
+  timer.unref();
+  tick();
+
+  console.log(`⏰ Job scheduler started with ${jobs.size} jobs (${instanceId})`);
+};
+
+export const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
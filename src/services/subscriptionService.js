@@ -0,0 +1,372 @@
+import mongoose from 'mongoose';
+import { Gig, Order, Subscription, User } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { priceOrder } from './pricingService.js';
+import { placeOrder, openOrder, canPurchaseGig, buildRequirementAnswers } from './orderService.js';
+import { getDisplayCurrency } from './currencyService.js';
+import { notifyUsers } from './notificationService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PACKAGE_TYPES = ['basic', 'standard', 'premium'];
+
+// Failed renewal charges before a subscription is cancelled; each failure is
+// retried a day later
+const MAX_FAILED_PAYMENTS = 3;
+
+export const findSubscriptionForParty = async (subscriptionId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(subscriptionId)) {
+    throw new AppError('Invalid subscription ID', 400, 'INVALID_ID');
+  }
+
+  const subscription = await Subscription.findById(subscriptionId);
+
+  if (!subscription) {
+    throw new AppError('Subscription not found', 404, 'SUBSCRIPTION_NOT_FOUND');
+  }
+
+  if (!subscription.getPartyRole(user._id) && user.role !== 'admin') {
+    throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+  }
+
+  return subscription;
+};
+
+const assertBuyer = (subscription, user, statuses) => {
+  if (!subscription.buyer.equals(user._id)) {
+    throw new AppError('Only the buyer can change this subscription', 403, 'ACCESS_DENIED');
+  }
+
+  if (!statuses.includes(subscription.status)) {
+    throw new AppError(`Subscription cannot be changed while ${subscription.status}`, 409, 'INVALID_SUBSCRIPTION_STATUS');
+  }
+};
+
+// Bill the next cycle: price the plan, charge the buyer into escrow through a
+// new cycle order and advance the billing period. The subscription update is
+// conditional on the cycle count, so a cycle is never billed twice. A new
+// (unsaved) subscription is created in the same transaction.
+const billCycle = async (subscription, { buyer, gig, paymentSource, periodStart, action, role, by, metadata = {} }) => {
+  const { plan } = subscription;
+  const cycle = {
+    number: subscription.cycleCount + 1,
+    periodStart,
+    periodEnd: subscription.getPeriodEnd(periodStart),
+    deliverables: plan.deliverables
+  };
+
+  const { exchange, feeRule, pricing, tax } = await priceOrder({
+    currency: subscription.currency,
+    displayCurrency: getDisplayCurrency(buyer),
+    category: gig.category,
+    sellerId: subscription.seller,
+    subtotal: plan.price,
+    buyer
+  });
+
+  return placeOrder({ buyer, amount: pricing.amount.total, currency: subscription.currency, paymentSource }, async (session, { orderId, charge }) => {
+    if (subscription.isNew) {
+      await subscription.save({ session: session });
+    }
+
+    // Reloaded in the transaction so the revision lookup and the gig's order
+    // count are written through the same session
+    const cycleGig = await Gig.findById(gig._id).session(session);
+
+    if (!cycleGig) {
+      throw new AppError('Gig not found', 404, 'GIG_NOT_FOUND');
+    }
+
+    const order = await openOrder({
+      seller: subscription.seller,
+      gig: cycleGig._id,
+      gigTitle: cycleGig.title,
+      gigImage: cycleGig.primaryImage?.url,
+      package: subscription.package,
+      packageDetails: {
+        title: plan.title,
+        description: plan.description,
+        features: plan.features,
+        deliveryTime: plan.deliveryTime,
+        revisions: plan.revisions
+      },
+      subscription: subscription._id,
+      subscriptionCycle: cycle,
+      amount: pricing.amount,
+      currency: subscription.currency,
+      exchange,
+      tax,
+      feeRule,
+      platformFee: pricing.platformFee,
+      sellerEarnings: pricing.sellerEarnings,
+      requirements: {
+        answers: subscription.requirements.answers,
+        additionalInfo: subscription.requirements.additionalInfo
+      },
+      metadata
+    }, { buyer, gig: cycleGig, orderId, charge, session: session });
+
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, cycleCount: subscription.cycleCount },
+      {
+        $set: {
+          status: 'active',
+          cycleCount: cycle.number,
+          currentPeriodStart: cycle.periodStart,
+          currentPeriodEnd: cycle.periodEnd,
+          nextBillingAt: cycle.periodEnd,
+          failedPayments: 0,
+          lastPaymentError: null,
+          updatedAt: new Date()
+        },
+        $push: { history: { action, by, role, order: order._id, at: new Date() } }
+      },
+      { new: true, session: session }
+    );
+
+    if (!updated) {
+      throw new AppError('This subscription cycle has already been billed', 409, 'SUBSCRIPTION_CYCLE_BILLED');
+    }
+
+    return { subscription: updated, order };
+  });
+};
+
+// Buyer subscribes to a gig package's retainer plan; the first cycle is
+// billed and ordered straight away
+export const createSubscription = async (buyer, { gigId, package: packageName, requirements = {}, paymentSource, metadata = {} }) => {
+  if (!mongoose.Types.ObjectId.isValid(gigId)) {
+    throw new AppError('Valid gig ID is required', 400, 'INVALID_ID');
+  }
+
+  if (!PACKAGE_TYPES.includes(packageName)) {
+    throw new AppError(`Package must be one of: ${PACKAGE_TYPES.join(', ')}`, 400, 'INVALID_PACKAGE_TYPE');
+  }
+
+  const gig = await Gig.findById(gigId);
+
+  if (!gig) {
+    throw new AppError('Gig not found', 404, 'GIG_NOT_FOUND');
+  }
+
+  if (!await canPurchaseGig(gig, buyer._id)) {
+    throw new AppError('This gig cannot be purchased', 400, 'GIG_NOT_PURCHASABLE');
+  }
+
+  const plan = gig.getSubscriptionPlan(packageName);
+
+  if (!plan) {
+    throw new AppError(`The ${packageName} package is not offered as a subscription`, 400, 'SUBSCRIPTION_NOT_AVAILABLE');
+  }
+
+  const answers = buildRequirementAnswers(gig, requirements.answers);
+  const now = new Date();
+
+  const subscription = new Subscription({
+    buyer: buyer._id,
+    seller: gig.seller,
+    gig: gig._id,
+    gigTitle: gig.title,
+    package: packageName,
+    plan,
+    currency: gig.currency,
+    paymentSource,
+    requirements: { answers, additionalInfo: requirements.additionalInfo }
+  });
+
+  return billCycle(subscription, {
+    buyer,
+    gig,
+    paymentSource,
+    periodStart: now,
+    action: 'created',
+    role: 'buyer',
+    by: buyer._id,
+    metadata
+  });
+};
+
+const closeSubscription = (subscription, { role, by, reason }) => {
+  subscription.status = 'cancelled';
+  subscription.cancelledAt = new Date();
+  subscription.cancelledBy = role;
+  subscription.cancellationReason = reason;
+  subscription.nextBillingAt = undefined;
+  subscription.addHistoryEntry('cancelled', { by, role, note: reason });
+};
+
+// Bill a subscription that has come due (run by the scheduler). A declined
+// charge marks it past due and is retried daily; after MAX_FAILED_PAYMENTS it
+// is cancelled. Subscriptions whose gig can no longer be bought (the same
+// check as a first order, including the seller's account status) are
+// cancelled.
+export const renewSubscription = async (subscription, now = new Date()) => {
+  const [gig, buyer] = await Promise.all([
+    Gig.findById(subscription.gig),
+    User.findById(subscription.buyer)
+  ]);
+
+  const isAvailable = await canPurchaseGig(gig, subscription.buyer);
+
+  if (!isAvailable || !buyer) {
+    closeSubscription(subscription, { role: 'system', reason: 'The gig is no longer available' });
+    await subscription.save();
+
+    await notifyUsers([subscription.buyer, subscription.seller], {
+      subject: `Subscription ${subscription.subscriptionId} cancelled`,
+      text: `Subscription ${subscription.subscriptionId} to "${subscription.gigTitle}" was cancelled because the gig is no longer available.`
+    });
+    return { cancelled: true };
+  }
+
+  // A retried charge starts the new period when it succeeds
+  const periodStart = subscription.status === 'past_due' ? now : subscription.nextBillingAt;
+
+  try {
+    const { order } = await billCycle(subscription, {
+      buyer,
+      gig,
+      paymentSource: subscription.paymentSource,
+      periodStart,
+      action: 'renewed',
+      role: 'system',
+      metadata: { source: 'subscription' }
+    });
+
+    await notifyUsers([subscription.buyer, subscription.seller], {
+      subject: `Subscription ${subscription.subscriptionId} renewed`,
+      text: `Subscription ${subscription.subscriptionId} to "${subscription.gigTitle}" renewed with order ${order.orderId} for ${order.amount.total} ${order.currency}.`
+    });
+    return { order };
+  } catch (error) {
+    if (error.code !== 'PAYMENT_FAILED') throw error;
+
+    subscription.failedPayments += 1;
+    subscription.lastPaymentError = error.message;
+    subscription.addHistoryEntry('payment_failed', { role: 'system', note: error.message });
+
+    if (subscription.failedPayments >= MAX_FAILED_PAYMENTS) {
+      closeSubscription(subscription, {
+        role: 'system',
+        reason: `Renewal payment failed ${subscription.failedPayments} times`
+      });
+    } else {
+      subscription.status = 'past_due';
+      subscription.nextBillingAt = new Date(now.getTime() + DAY_MS);
+    }
+
+    await subscription.save();
+
+    await notifyUsers([subscription.buyer], {
+      subject: `Payment failed for subscription ${subscription.subscriptionId}`,
+      text: subscription.status === 'cancelled'
+        ? `We could not charge your payment method for "${subscription.gigTitle}" and the subscription has been cancelled.`
+        : `We could not charge your payment method for "${subscription.gigTitle}" (${error.message}). We will try again tomorrow.`
+    });
+    return { failed: true };
+  }
+};
+
+// Buyer pauses billing; the current cycle's order carries on as normal
+export const pauseSubscription = async (subscription, user, { note } = {}) => {
+  assertBuyer(subscription, user, ['active']);
+
+  subscription.status = 'paused';
+  subscription.pausedAt = new Date();
+  subscription.addHistoryEntry('paused', { by: user._id, role: 'buyer', note });
+  await subscription.save();
+
+  await notifyUsers([subscription.seller], {
+    subject: `Subscription ${subscription.subscriptionId} paused`,
+    text: `The buyer paused subscription ${subscription.subscriptionId} to "${subscription.gigTitle}". No new cycles will be ordered until it is resumed.`
+  });
+  return subscription;
+};
+
+// Buyer resumes billing, from the end of the period already paid for
+export const resumeSubscription = async (subscription, user) => {
+  assertBuyer(subscription, user, ['paused']);
+
+  const now = new Date();
+  subscription.status = 'active';
+  subscription.pausedAt = undefined;
+  subscription.nextBillingAt = subscription.currentPeriodEnd > now ? subscription.currentPeriodEnd : now;
+  subscription.addHistoryEntry('resumed', { by: user._id, role: 'buyer' });
+  await subscription.save();
+
+  await notifyUsers([subscription.seller], {
+    subject: `Subscription ${subscription.subscriptionId} resumed`,
+    text: `The buyer resumed subscription ${subscription.subscriptionId} to "${subscription.gigTitle}". The next cycle is ordered on ${subscription.nextBillingAt.toUTCString()}.`
+  });
+  return subscription;
+};
+
+// Buyer moves to a higher-priced package's plan, from the next cycle
+export const upgradeSubscription = async (subscription, user, { package: packageName }) => {
+  assertBuyer(subscription, user, ['active', 'paused', 'past_due']);
+
+  const gig = await Gig.findById(subscription.gig);
+  const plan = PACKAGE_TYPES.includes(packageName) ? gig?.getSubscriptionPlan(packageName) : null;
+
+  if (!plan) {
+    throw new AppError(`The ${packageName} package is not offered as a subscription`, 400, 'SUBSCRIPTION_NOT_AVAILABLE');
+  }
+
+  if (plan.price <= subscription.plan.price) {
+    throw new AppError('An upgrade must be to a higher-priced plan', 400, 'INVALID_UPGRADE');
+  }
+
+  const note = `${subscription.package} to ${packageName}`;
+  subscription.package = packageName;
+  subscription.plan = plan;
+  subscription.addHistoryEntry('upgraded', { by: user._id, role: 'buyer', note });
+  await subscription.save();
+
+  await notifyUsers([subscription.seller], {
+    subject: `Subscription ${subscription.subscriptionId} upgraded`,
+    text: `The buyer upgraded subscription ${subscription.subscriptionId} to your ${packageName} plan (${plan.deliverables} deliverables per ${plan.interval}) from the next cycle.`
+  });
+  return subscription;
+};
+
+// Either party (or an admin) ends the subscription. No further cycles are
+// ordered; orders already placed are handled through the order flow.
+export const cancelSubscription = async (subscription, user, { reason } = {}) => {
+  const role = subscription.getPartyRole(user._id) || (user.role === 'admin' ? 'admin' : null);
+
+  if (!role) {
+    throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+  }
+
+  if (subscription.status === 'cancelled') {
+    throw new AppError('Subscription is already cancelled', 409, 'INVALID_SUBSCRIPTION_STATUS');
+  }
+
+  closeSubscription(subscription, { role, by: user._id, reason });
+  await subscription.save();
+
+  const notify = [subscription.buyer, subscription.seller].filter(id => !id.equals(user._id));
+  await notifyUsers(notify, {
+    subject: `Subscription ${subscription.subscriptionId} cancelled`,
+    text: `Subscription ${subscription.subscriptionId} to "${subscription.gigTitle}" was cancelled by the ${role}.${reason ? ` Reason: ${reason}` : ''}`
+  });
+  return subscription;
+};
+
+// Subscriptions matching `query` with their cycle orders, for dashboards
+export const findSubscriptionsWithCycles = async (query, { limit = 10 } = {}) => {
+  const subscriptions = await Subscription.find(query)
+    .populate('buyer', 'username displayName avatar')
+    .populate('seller', 'username displayName avatar')
+    .select('-history')
+    .limit(limit)
+    .sort({ createdAt: -1 });
+
+  const cycles = await Order.find({ subscription: { $in: subscriptions.map(s => s._id) } })
+    .select('orderId subscription subscriptionCycle status amount.total currency createdAt')
+    .sort({ 'subscriptionCycle.number': -1 });
+
+  return subscriptions.map(subscription => ({
+    ...subscription.toJSON(),
+    cycles: cycles.filter(order => order.subscription.equals(subscription._id))
+  }));
+};
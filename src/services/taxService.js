@@ -0,0 +1,143 @@
+import { Order, User } from '../models/index.js';
+import { getTaxRule, getPlatformTaxCountry } from '../config/taxRules.js';
+import { getBaseCurrency } from '../config/currencies.js';
+import { roundAmount } from './pricingService.js';
+import { toBaseCurrency } from './currencyService.js';
+
+const REVERSE_CHARGE_NOTE = 'Reverse charge: tax to be accounted for by the recipient';
+
+// Tax on one supply. Domestic supplies are taxed at the supplier's rate;
+// cross-border supplies to a registered business are reverse charged, and to
+// an individual are taxed at the customer's rate where it has one. A
+// customer with no known country is treated as domestic.
+const taxSupply = ({ kind, paidBy, supplierCountry, customer, taxableAmount }) => {
+  const customerCountry = customer.country || supplierCountry;
+  const domestic = customerCountry === supplierCountry;
+  const rule = getTaxRule(domestic ? supplierCountry : customerCountry);
+
+  if (!rule || taxableAmount <= 0) return null;
+
+  const reverseCharge = !domestic && customer.isBusiness;
+
+  return {
+    kind,
+    paidBy,
+    name: `${rule.name} ${roundAmount(rule.rate * 100)}%`,
+    country: customerCountry,
+    rate: reverseCharge ? 0 : rule.rate,
+    taxableAmount: roundAmount(taxableAmount),
+    amount: reverseCharge ? 0 : roundAmount(taxableAmount * rule.rate),
+    reverseCharge,
+    note: reverseCharge ? REVERSE_CHARGE_NOTE : undefined
+  };
+};
+
+// Tax breakdown for an order priced by calculateOrderAmount:
+// - the seller's service to the buyer, only when the seller is a registered business
+// - the buyer-side fees (service and payment) supplied by the platform
+// - the platform commission charged to the seller
+// Platform fees are only taxed when the platform is registered (PLATFORM_TAX_COUNTRY).
+export const calculateOrderTax = ({ buyer, seller, pricing }) => {
+  const { amount } = pricing;
+  const platformCountry = getPlatformTaxCountry();
+
+  const lines = [
+    seller.isBusiness && seller.country && taxSupply({
+      kind: 'order',
+      paidBy: 'buyer',
+      supplierCountry: seller.country,
+      customer: buyer,
+      taxableAmount: amount.subtotal - amount.discount
+    }),
+    platformCountry && taxSupply({
+      kind: 'buyer_fees',
+      paidBy: 'buyer',
+      supplierCountry: platformCountry,
+      customer: buyer,
+      taxableAmount: (amount.fees.service || 0) + (amount.fees.payment || 0)
+    }),
+    platformCountry && taxSupply({
+      kind: 'platform_fee',
+      paidBy: 'seller',
+      supplierCountry: platformCountry,
+      customer: seller,
+      taxableAmount: pricing.commission
+    })
+  ].filter(Boolean);
+
+  const total = (paidBy) => roundAmount(lines.filter(line => line.paidBy === paidBy).reduce((sum, line) => sum + line.amount, 0));
+
+  return {
+    buyerCountry: buyer.country,
+    sellerCountry: seller.country,
+    lines,
+    buyerTotal: total('buyer'),
+    sellerTotal: total('seller'),
+    reverseCharge: lines.some(line => line.reverseCharge),
+    calculatedAt: new Date()
+  };
+};
+
+// Add tax to an order's pricing. The buyer pays the order and fee taxes on
+// top of the total; the seller receives the order tax (which they remit) and
+// pays the tax on the platform commission out of their earnings.
+export const applyOrderTax = async (pricing, { buyer, sellerId, session }) => {
+  const seller = await User.findById(sellerId).select('taxProfile').session(session || null);
+
+  const tax = calculateOrderTax({
+    buyer: buyer.getTaxStatus(),
+    seller: seller ? seller.getTaxStatus() : { country: null, isBusiness: false },
+    pricing
+  });
+
+  const orderTax = tax.lines.filter(line => line.kind === 'order').reduce((sum, line) => sum + line.amount, 0);
+
+  return {
+    pricing: {
+      ...pricing,
+      amount: {
+        ...pricing.amount,
+        tax: tax.buyerTotal,
+        total: roundAmount(pricing.amount.total + tax.buyerTotal)
+      },
+      sellerEarnings: roundAmount(pricing.sellerEarnings + orderTax - tax.sellerTotal)
+    },
+    tax
+  };
+};
+
+// Tax on paid orders by country and kind, in the base currency
+export const getTaxReport = async ({ from, to, country } = {}) => {
+  const match = { 'payment.status': 'completed', 'tax.lines.0': { $exists: true } };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+
+  const lines = await Order.aggregate([
+    { $match: match },
+    { $unwind: '$tax.lines' },
+    ...(country ? [{ $match: { 'tax.lines.country': country.toUpperCase() } }] : []),
+    {
+      $group: {
+        _id: { country: '$tax.lines.country', kind: '$tax.lines.kind', reverseCharge: '$tax.lines.reverseCharge' },
+        orders: { $sum: 1 },
+        taxableAmount: { $sum: toBaseCurrency('$tax.lines.taxableAmount') },
+        taxAmount: { $sum: toBaseCurrency('$tax.lines.amount') }
+      }
+    },
+    { $sort: { '_id.country': 1, '_id.kind': 1 } }
+  ]);
+
+  return {
+    currency: getBaseCurrency(),
+    lines: lines.map(({ _id, orders, taxableAmount, taxAmount }) => ({
+      ..._id,
+      orders,
+      taxableAmount: roundAmount(taxableAmount),
+      taxAmount: roundAmount(taxAmount)
+    })),
+    totalTax: roundAmount(lines.reduce((sum, line) => sum + line.taxAmount, 0))
+  };
+};
@@ -0,0 +1,225 @@
+import mongoose from 'mongoose';
+import { LedgerEntry, User, Withdrawal } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getPaymentProvider } from './payments/index.js';
+import { getClearanceDays } from './ledgerService.js';
+import { roundAmount } from './pricingService.js';
+import { getSellerCurrency, getExchangeRate, convertAmount } from './currencyService.js';
+import { getBaseCurrency } from '../config/currencies.js';
+
+// Set in the base currency and converted into the seller's wallet currency
+const getMinimumWithdrawal = async (currency, { session } = {}) => {
+  const minimum = parseFloat(process.env.WALLET_MIN_WITHDRAWAL) || 10;
+  return convertAmount(minimum, await getExchangeRate(getBaseCurrency(), currency, { session }));
+};
+
+export const getWalletBalances = async (sellerId, { session } = {}) => {
+  const balances = await LedgerEntry.getSellerBalances(sellerId, { session });
+  const withdrawals = await Withdrawal.getSellerTotals(sellerId, { session });
+  const totals = await LedgerEntry.getUserTotals(sellerId, { session });
+  const currency = await getSellerCurrency(sellerId, { session });
+
+  return {
+    available: balances.available,
+    pendingClearance: balances.pendingClearance,
+    pendingWithdrawal: withdrawals.pendingWithdrawal,
+    withdrawn: withdrawals.withdrawn,
+    totalEarnings: totals.totalEarnings,
+    clearanceDays: getClearanceDays(),
+    minimumWithdrawal: await getMinimumWithdrawal(currency, { session }),
+    currency
+  };
+};
+
+// Reserve funds from the seller's available balance for a payout
+export const requestWithdrawal = async (seller, { amount, payoutMethodId }) => {
+  const value = roundAmount(parseFloat(amount));
+  const currency = await getSellerCurrency(seller._id);
+  const minimum = await getMinimumWithdrawal(currency);
+
+  if (!value || value < minimum) {
+    throw new AppError(`Minimum withdrawal is ${minimum} ${currency}`, 400, 'INVALID_AMOUNT');
+  }
+
+  const methods = seller.sellerProfile?.payoutMethods || [];
+  const method = payoutMethodId
+    ? methods.find(m => m._id.equals(payoutMethodId))
+    : methods.find(m => m.isDefault) || methods[0];
+
+  if (!method) {
+    throw new AppError('A payout method is required', 400, 'PAYOUT_METHOD_REQUIRED');
+  }
+
+  return mongoose.connection.transaction(async (session) => {
+    // Touch the seller so concurrent withdrawal requests conflict and retry
+    await User.updateOne(
+      { _id: seller._id },
+      { $set: { 'sellerProfile.lastWithdrawalAt': new Date() } },
+      { session }
+    );
+
+    const { available } = await LedgerEntry.getSellerBalances(seller._id, { session });
+
+    if (value > available) {
+      throw new AppError('Amount exceeds available balance', 400, 'INSUFFICIENT_BALANCE');
+    }
+
+    const withdrawal = new Withdrawal({
+      seller: seller._id,
+      amount: value,
+      currency,
+      payoutMethod: {
+        methodId: method._id,
+        type: method.type,
+        label: method.label,
+        email: method.email,
+        accountHolder: method.accountHolder,
+        bankName: method.bankName,
+        accountLast4: method.accountLast4
+      }
+    });
+    withdrawal.addAuditEntry('requested', { actor: seller._id, role: 'seller' });
+    await withdrawal.save({ session });
+
+    await LedgerEntry.postJournal([
+      { type: 'withdrawal', account: 'seller', user: seller._id, withdrawal: withdrawal._id, currency: withdrawal.currency, direction: 'debit', amount: value },
+      { type: 'withdrawal', account: 'payout', user: seller._id, withdrawal: withdrawal._id, currency: withdrawal.currency, direction: 'credit', amount: value }
+    ], { session });
+
+    return withdrawal;
+  });
+};
+
+// Give reserved funds back to the seller's balance
+const returnWithdrawalFunds = (withdrawal, session) => {
+  return LedgerEntry.postJournal([
+    { type: 'withdrawal', account: 'payout', user: withdrawal.seller, withdrawal: withdrawal._id, currency: withdrawal.currency, direction: 'debit', amount: withdrawal.amount, memo: 'Returned to balance' },
+    { type: 'withdrawal', account: 'seller', user: withdrawal.seller, withdrawal: withdrawal._id, currency: withdrawal.currency, direction: 'credit', amount: withdrawal.amount, memo: 'Returned to balance' }
+  ], { session });
+};
+
+const findPendingWithdrawal = async (withdrawalId, session) => {
+  const withdrawal = await Withdrawal.findById(withdrawalId).session(session);
+
+  if (!withdrawal) {
+    throw new AppError('Withdrawal not found', 404, 'WITHDRAWAL_NOT_FOUND');
+  }
+
+  if (withdrawal.status !== 'pending') {
+    throw new AppError(`Withdrawal is already ${withdrawal.status}`, 409, 'WITHDRAWAL_NOT_PENDING');
+  }
+
+  return withdrawal;
+};
+
+// Claim a pending withdrawal for payout; the conditional update means only
+// one approval can pay it out
+const claimWithdrawal = async (withdrawalId, admin, { note }) => {
+  const now = new Date();
+  const withdrawal = await Withdrawal.findOneAndUpdate(
+    { _id: withdrawalId, status: 'pending' },
+    {
+      $set: { status: 'processing', reviewedBy: admin._id, reviewedAt: now, updatedAt: now },
+      $push: { auditTrail: { action: 'approved', actor: admin._id, actorRole: 'admin', note, at: now } }
+    },
+    { new: true }
+  );
+
+  if (!withdrawal) {
+    const current = await Withdrawal.findById(withdrawalId).select('status');
+
+    if (!current) {
+      throw new AppError('Withdrawal not found', 404, 'WITHDRAWAL_NOT_FOUND');
+    }
+    throw new AppError(`Withdrawal is already ${current.status}`, 409, 'WITHDRAWAL_NOT_PENDING');
+  }
+
+  return withdrawal;
+};
+
+// Record the payout result: a paid withdrawal moves the reserved funds to the
+// provider, a failed one returns them to the seller's balance
+const recordPayout = (withdrawal, provider, payout) => {
+  return mongoose.connection.transaction(async (session) => {
+    const claimed = await Withdrawal.findOne({ _id: withdrawal._id, status: 'processing' }).session(session);
+
+    if (!claimed) {
+      throw new AppError('Withdrawal is no longer processing', 409, 'WITHDRAWAL_NOT_PROCESSING');
+    }
+
+    claimed.provider = provider.name;
+
+    if (payout.success) {
+      claimed.status = 'paid';
+      claimed.paidAt = new Date();
+      claimed.providerReference = payout.data.reference;
+      claimed.addAuditEntry('paid', { role: 'system', note: payout.data.reference });
+
+      await LedgerEntry.postJournal([
+        { type: 'withdrawal', account: 'payout', user: claimed.seller, withdrawal: claimed._id, currency: claimed.currency, direction: 'debit', amount: claimed.amount, provider: provider.name, providerReference: payout.data.reference },
+        { type: 'withdrawal', account: 'provider', withdrawal: claimed._id, currency: claimed.currency, direction: 'credit', amount: claimed.amount, provider: provider.name, providerReference: payout.data.reference }
+      ], { session });
+    } else {
+      claimed.status = 'failed';
+      claimed.addAuditEntry('failed', { role: 'system', note: payout.error });
+      await returnWithdrawalFunds(claimed, session);
+    }
+
+    await claimed.save({ session });
+    return claimed;
+  });
+};
+
+// Approve a withdrawal and pay it out through the payment provider. The
+// payout runs outside any transaction so a retried transaction can never
+// send it twice.
+export const approveWithdrawal = async (withdrawalId, admin, { note } = {}) => {
+  const withdrawal = await claimWithdrawal(withdrawalId, admin, { note });
+  const provider = getPaymentProvider();
+
+  let payout;
+  try {
+    payout = await provider.payout({
+      amount: withdrawal.amount,
+      currency: withdrawal.currency,
+      destination: withdrawal.payoutMethod,
+      idempotencyKey: `${withdrawal.withdrawalId}-payout`
+    });
+  } catch (error) {
+    // The payout outcome is unknown: hand the withdrawal back for another
+    // approval, which reuses the idempotency key
+    await Withdrawal.updateOne(
+      { _id: withdrawal._id, status: 'processing' },
+      { $set: { status: 'pending', updatedAt: new Date() } }
+    );
+    throw error;
+  }
+
+  try {
+    return await recordPayout(withdrawal, provider, payout);
+  } catch (error) {
+    // The funds stay reserved while the withdrawal is processing
+    console.error(`Failed to record payout for withdrawal ${withdrawal.withdrawalId} (${payout.data?.reference || payout.error}):`, error);
+    throw error;
+  }
+};
+
+export const rejectWithdrawal = async (withdrawalId, admin, { reason } = {}) => {
+  if (!reason) {
+    throw new AppError('Rejection reason is required', 400, 'MISSING_FIELDS');
+  }
+
+  return mongoose.connection.transaction(async (session) => {
+    const withdrawal = await findPendingWithdrawal(withdrawalId, session);
+
+    withdrawal.status = 'rejected';
+    withdrawal.rejectionReason = reason;
+    withdrawal.reviewedBy = admin._id;
+    withdrawal.reviewedAt = new Date();
+    withdrawal.addAuditEntry('rejected', { actor: admin._id, role: 'admin', note: reason });
+
+    await returnWithdrawalFunds(withdrawal, session);
+    await withdrawal.save({ session });
+    return withdrawal;
+  });
+};